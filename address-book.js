@@ -0,0 +1,538 @@
+// Contacts kept by the extension: a name, several numbers, tags and notes each.
+// Numbers are stored in E.164, so the same person imported twice, or once from
+// a vCard and once from a CSV, is merged instead of duplicated.
+const ADDRESS_BOOK_KEY = 'addressBook';
+const ADDRESS_BOOK_MAX_CONTACTS = 5000;
+const CONTACT_PHONE_LABELS = ['mobile', 'work', 'home', 'main', 'fax', 'other'];
+const CONTACT_CSV_COLUMNS = ['name', 'company', 'phones', 'tags', 'notes'];
+
+// vCard TYPE values (and CSV header words) that name one of CONTACT_PHONE_LABELS
+const CONTACT_PHONE_TYPES = {
+  cell: 'mobile',
+  mobile: 'mobile',
+  work: 'work',
+  business: 'work',
+  home: 'home',
+  main: 'main',
+  fax: 'fax',
+  other: 'other'
+};
+
+class AddressBook {
+  // normalizer is needed to save or import; looking numbers up works without it
+  constructor(normalizer = null) {
+    this.normalizer = normalizer;
+    this.contacts = [];
+  }
+
+  static createId() {
+    return `contact-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // The first caller-lookup adapter stored phones as bare E.164 strings
+  static migrate(contact) {
+    return {
+      id: contact.id || AddressBook.createId(),
+      name: contact.name || '',
+      nameParts: contact.nameParts || null, // vCard N: { family, given, additional, prefix, suffix }
+      company: contact.company || '',
+      phones: (contact.phones || []).map(phone => typeof phone === 'string'
+        ? { e164: phone, extension: null, label: '' }
+        : { e164: phone.e164, extension: phone.extension || null, label: phone.label || '' }),
+      tags: contact.tags || [],
+      notes: contact.notes || '',
+      updatedAt: contact.updatedAt || null
+    };
+  }
+
+  async readStored() {
+    const result = await chrome.storage.local.get([ADDRESS_BOOK_KEY]);
+    return (result[ADDRESS_BOOK_KEY] || []).map(AddressBook.migrate);
+  }
+
+  async load() {
+    this.contacts = await this.readStored();
+    return this.contacts;
+  }
+
+  // Re-reads before writing so the popup and tabs don't overwrite each other
+  async mutate(updater) {
+    const contacts = await this.readStored();
+    this.contacts = updater(contacts) || contacts;
+    await chrome.storage.local.set({ [ADDRESS_BOOK_KEY]: this.contacts });
+    return this.contacts;
+  }
+
+  findByNumber(e164) {
+    return this.contacts.find(contact => contact.phones.some(phone => phone.e164 === e164)) || null;
+  }
+
+  // Every word must match the name, company, tags or notes; digits also match numbers
+  search(query = '') {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return this.contacts
+      .filter(contact => {
+        const haystack = [contact.name, contact.company, contact.notes, ...contact.tags].join(' ').toLowerCase();
+        const numbers = contact.phones.map(phone => phone.e164.replace(/\D/g, '')).join(' ');
+        return words.every(word => haystack.includes(word) ||
+          (/^[\d()+.\-]{3,}$/.test(word) && numbers.includes(word.replace(/\D/g, ''))));
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // input: { id?, name, company, phones: [{ number, label } | string], tags, notes }.
+  // Returns null when no number in it can be dialed.
+  normalizeContact(input) {
+    const phones = [];
+    (input.phones || []).forEach(phone => {
+      const { number, label } = typeof phone === 'string' ? { number: phone, label: '' } : phone;
+      const normalized = this.normalizer.normalize(String(number || ''));
+      if (!normalized || phones.some(existing => existing.e164 === normalized.e164)) return;
+      phones.push({ e164: normalized.e164, extension: normalized.extension, label: label || '' });
+    });
+    if (!phones.length) return null;
+
+    const tags = [];
+    (input.tags || []).forEach(tag => {
+      const value = String(tag).trim();
+      if (value && !tags.some(existing => existing.toLowerCase() === value.toLowerCase())) tags.push(value);
+    });
+
+    const company = String(input.company || '').trim();
+    return {
+      id: input.id || AddressBook.createId(),
+      name: String(input.name || '').trim() || company || this.normalizer.formatForDisplay(phones[0].e164),
+      nameParts: input.nameParts || null,
+      company,
+      phones,
+      tags,
+      notes: String(input.notes || '').trim(),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  // Fills in what target is missing from source; target's own values win
+  static mergeInto(target, source) {
+    source.phones.forEach(phone => {
+      const existing = target.phones.find(item => item.e164 === phone.e164);
+      if (!existing) {
+        target.phones.push(phone);
+      } else if (!existing.label) {
+        existing.label = phone.label;
+      }
+    });
+    source.tags.forEach(tag => {
+      if (!target.tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) target.tags.push(tag);
+    });
+    target.company = target.company || source.company;
+    target.nameParts = target.nameParts || (target.name === source.name ? source.nameParts : null);
+    if (source.notes && !target.notes.includes(source.notes)) {
+      target.notes = target.notes ? `${target.notes}\n\n${source.notes}` : source.notes;
+    }
+    target.updatedAt = new Date().toISOString();
+    return target;
+  }
+
+  static sharesNumber(a, b) {
+    return a.phones.some(phone => b.phones.some(other => other.e164 === phone.e164));
+  }
+
+  // A new contact that shares a number with an existing one is merged into it.
+  // An edited contact keeps the edit and takes in any other contact it now
+  // shares a number with.
+  async save(input) {
+    const contact = this.normalizeContact(input);
+    if (!contact) {
+      throw new Error('Enter at least one valid phone number');
+    }
+
+    let saved = contact;
+    await this.mutate(contacts => {
+      const index = contacts.findIndex(item => item.id === contact.id);
+      if (index >= 0) {
+        const existing = contacts[index];
+        if (!contact.nameParts && existing.name === contact.name) contact.nameParts = existing.nameParts;
+
+        const duplicates = contacts.filter(item => item.id !== contact.id && AddressBook.sharesNumber(item, contact));
+        duplicates.forEach(duplicate => AddressBook.mergeInto(contact, duplicate));
+        return contacts
+          .filter(item => !duplicates.includes(item))
+          .map(item => item.id === contact.id ? contact : item);
+      }
+
+      const duplicate = contacts.find(item => AddressBook.sharesNumber(item, contact));
+      if (duplicate) {
+        saved = AddressBook.mergeInto(duplicate, contact);
+        return contacts;
+      }
+
+      if (contacts.length >= ADDRESS_BOOK_MAX_CONTACTS) {
+        throw new Error(`The address book is full (${ADDRESS_BOOK_MAX_CONTACTS} contacts)`);
+      }
+      return [...contacts, contact];
+    });
+    return saved;
+  }
+
+  async remove(id) {
+    await this.mutate(contacts => contacts.filter(contact => contact.id !== id));
+  }
+
+  // Imported contacts are merged by number with the book and with each other.
+  // Returns { added, merged, skipped }.
+  async importContacts(inputs) {
+    const stats = { added: 0, merged: 0, skipped: 0 };
+
+    await this.mutate(contacts => {
+      const byNumber = new Map();
+      const remember = (contact) => contact.phones.forEach(phone => byNumber.set(phone.e164, contact));
+      contacts.forEach(remember);
+
+      inputs.forEach(input => {
+        const contact = this.normalizeContact(input);
+        if (!contact) {
+          stats.skipped++;
+          return;
+        }
+
+        const duplicate = contact.phones.map(phone => byNumber.get(phone.e164)).find(Boolean);
+        if (duplicate) {
+          remember(AddressBook.mergeInto(duplicate, contact));
+          stats.merged++;
+        } else if (contacts.length < ADDRESS_BOOK_MAX_CONTACTS) {
+          contacts.push(contact);
+          remember(contact);
+          stats.added++;
+        } else {
+          stats.skipped++;
+        }
+      });
+      return contacts;
+    });
+
+    return stats;
+  }
+
+  // vCards are recognized by content, anything else is read as CSV
+  importFile(fileName, text) {
+    const contacts = /\.(vcf|vcard)$/i.test(fileName) || /^\s*BEGIN:VCARD/i.test(text)
+      ? AddressBook.parseVCard(text)
+      : AddressBook.parseCSV(text);
+    return this.importContacts(contacts);
+  }
+
+  // "mobile: +15551234567" as written by toCSV and the popup's contact form
+  static parsePhoneText(text, defaultLabel = '') {
+    const labelled = text.trim().match(/^([a-z]+):\s*(.+)$/i);
+    return labelled && CONTACT_PHONE_LABELS.includes(labelled[1].toLowerCase())
+      ? { number: labelled[2], label: labelled[1].toLowerCase() }
+      : { number: text.trim(), label: defaultLabel };
+  }
+
+  static phoneLabel(types) {
+    const label = types.map(type => CONTACT_PHONE_TYPES[type.toLowerCase()]).find(Boolean);
+    return label || '';
+  }
+
+  // Splits a vCard value on separators that aren't backslash-escaped, unescaping each part
+  static splitVCardValue(value, separator) {
+    const parts = [''];
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      if (char === '\\' && i + 1 < value.length) {
+        const next = value[++i];
+        parts[parts.length - 1] += next === 'n' || next === 'N' ? '\n' : next;
+      } else if (char === separator) {
+        parts.push('');
+      } else {
+        parts[parts.length - 1] += char;
+      }
+    }
+    return parts.map(part => part.trim());
+  }
+
+  // Index of the colon ending the property name and parameters; quoted parameter values may contain colons
+  static vCardValueStart(line) {
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') {
+        quoted = !quoted;
+      } else if (line[i] === ':' && !quoted) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // vCard 2.1, 3.0 and 4.0: FN/N, ORG, TEL, CATEGORIES and NOTE are read, the rest ignored
+  static parseVCard(text) {
+    // Folded lines continue after a line break followed by a space or tab
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const contacts = [];
+    let card = null;
+
+    lines.forEach(line => {
+      const colon = AddressBook.vCardValueStart(line);
+      if (colon < 0) return;
+
+      const [nameWithGroup, ...params] = line.slice(0, colon).split(';');
+      const property = nameWithGroup.split('.').pop().toUpperCase();
+      const value = line.slice(colon + 1);
+
+      if (property === 'BEGIN' && value.trim().toUpperCase() === 'VCARD') {
+        card = { name: '', nameParts: null, company: '', phones: [], tags: [], notes: '' };
+        return;
+      }
+      if (!card) return;
+
+      switch (property) {
+        case 'END':
+          card.name = card.name || (card.nameParts ? AddressBook.joinNameParts(card.nameParts) : '');
+          contacts.push(card);
+          card = null;
+          break;
+        case 'FN':
+          card.name = AddressBook.splitVCardValue(value, null)[0];
+          break;
+        case 'N': {
+          const [family = '', given = '', additional = '', prefix = '', suffix = ''] = AddressBook.splitVCardValue(value, ';');
+          card.nameParts = { family, given, additional, prefix, suffix };
+          break;
+        }
+        case 'ORG':
+          card.company = AddressBook.splitVCardValue(value, ';')[0];
+          break;
+        case 'TEL': {
+          // TYPE=cell,voice / TYPE="work,voice" / bare CELL in 2.1
+          const types = params.flatMap(param => {
+            const [key, paramValue] = param.includes('=') ? param.split('=') : ['TYPE', param];
+            return key.toUpperCase() === 'TYPE' ? paramValue.replace(/"/g, '').split(',') : [];
+          });
+          // 4.0 may write the number as a tel: URI with ;ext=
+          const number = value.trim().replace(/^tel:/i, '').replace(/;ext=/i, ' ext. ');
+          card.phones.push({ number, label: AddressBook.phoneLabel(types) });
+          break;
+        }
+        case 'CATEGORIES':
+          card.tags.push(...AddressBook.splitVCardValue(value, ',').filter(Boolean));
+          break;
+        case 'NOTE':
+          card.notes = AddressBook.splitVCardValue(value, null)[0];
+          break;
+        default:
+          break;
+      }
+    });
+
+    return contacts;
+  }
+
+  static joinNameParts({ family, given, additional, prefix, suffix }) {
+    return [prefix, given, additional, family, suffix].filter(Boolean).join(' ');
+  }
+
+  // The N parts read from a vCard, or a guess from the display name:
+  // "Smith, Jane" and "Jane Smith" both give family "Smith", given "Jane"
+  static namePartsFor(contact) {
+    if (contact.nameParts) return contact.nameParts;
+
+    const parts = { family: '', given: '', additional: '', prefix: '', suffix: '' };
+    const comma = contact.name.indexOf(',');
+    if (comma >= 0) {
+      parts.family = contact.name.slice(0, comma).trim();
+      parts.given = contact.name.slice(comma + 1).trim();
+      return parts;
+    }
+
+    const words = contact.name.split(/\s+/).filter(Boolean);
+    parts.family = words.length > 1 ? words.pop() : '';
+    parts.given = words.join(' ');
+    return parts;
+  }
+
+  static escapeVCardValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+  }
+
+  // Lines longer than 75 characters are folded as the spec asks
+  static foldVCardLine(line) {
+    const chunks = [line.slice(0, 75)];
+    for (let i = 75; i < line.length; i += 74) {
+      chunks.push(` ${line.slice(i, i + 74)}`);
+    }
+    return chunks.join('\r\n');
+  }
+
+  // version: '3.0' or '4.0'
+  static toVCard(contacts, version = '3.0') {
+    const escape = AddressBook.escapeVCardValue;
+    const cards = contacts.map(contact => {
+      const { family, given, additional, prefix, suffix } = AddressBook.namePartsFor(contact);
+      const lines = [
+        'BEGIN:VCARD',
+        `VERSION:${version}`,
+        `FN:${escape(contact.name)}`,
+        `N:${[family, given, additional, prefix, suffix].map(escape).join(';')}`
+      ];
+      if (contact.company) lines.push(`ORG:${escape(contact.company)}`);
+
+      contact.phones.forEach(phone => {
+        const type = phone.label === 'mobile' ? 'cell' : phone.label;
+        if (version === '4.0') {
+          const uri = `tel:${phone.e164}${phone.extension ? `;ext=${phone.extension}` : ''}`;
+          lines.push(`TEL;VALUE=uri${type ? `;TYPE=${type}` : ''}:${uri}`);
+        } else {
+          const number = phone.extension ? `${phone.e164} ext. ${phone.extension}` : phone.e164;
+          lines.push(`TEL${type ? `;TYPE=${type.toUpperCase()}` : ''}:${number}`);
+        }
+      });
+
+      if (contact.tags.length) lines.push(`CATEGORIES:${contact.tags.map(escape).join(',')}`);
+      if (contact.notes) lines.push(`NOTE:${escape(contact.notes)}`);
+      lines.push('END:VCARD');
+      return lines.map(AddressBook.foldVCardLine).join('\r\n');
+    });
+
+    return `${cards.join('\r\n')}\r\n`;
+  }
+
+  // RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+  static parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+  }
+
+  // Understands our own export as well as Google and Outlook contact exports
+  static parseCSV(text) {
+    const [header, ...rows] = AddressBook.parseCSVRows(text);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const find = (pattern) => columns.findIndex(column => pattern.test(column));
+    const nameColumn = find(/^(name|full name|display name)$/);
+    const firstColumn = find(/^(first name|given name)$/);
+    const lastColumn = find(/^(last name|family name|surname)$/);
+    const companyColumn = find(/^(company|organi[sz]ation( 1 - name| name)?)$/);
+    const tagsColumn = find(/^(tags|categories|groups|labels)$/);
+    const notesColumn = find(/^notes?$/);
+    const phoneColumns = columns
+      .map((column, index) => ({ column, index }))
+      .filter(({ column }) => /phone|mobile|^tel|^numbers?$/.test(column) && !/type|label/.test(column));
+
+    // Google writes several values into one cell separated by " ::: "
+    const splitCell = (value, separator) => value.split(separator).map(part => part.trim()).filter(Boolean);
+
+    return rows.map(cells => {
+      // Undo the quote toCSV puts in front of formula-like text
+      const cell = (index) => (index >= 0 && cells[index] ? cells[index].trim().replace(/^'(?=[=+\-@])/, '') : '');
+      const phones = [];
+
+      phoneColumns.forEach(({ column, index }) => {
+        // Google keeps the label in a "Phone 1 - Type" column beside "Phone 1 - Value"
+        const typeColumn = / - value$/.test(column) ? columns.indexOf(column.replace(/ - value$/, ' - type')) : -1;
+        const headerLabel = AddressBook.phoneLabel([...cell(typeColumn).split(/[^a-z]+/i), ...column.split(/[^a-z]+/)]);
+        splitCell(cell(index), /\s*:::\s*|;/).forEach(value => {
+          phones.push(AddressBook.parsePhoneText(value, headerLabel));
+        });
+      });
+
+      return {
+        name: cell(nameColumn) || [cell(firstColumn), cell(lastColumn)].filter(Boolean).join(' '),
+        company: cell(companyColumn),
+        phones,
+        // Google's system groups look like "* myContacts"
+        tags: splitCell(cell(tagsColumn), /\s*:::\s*|[;,]/).filter(tag => !tag.startsWith('*')),
+        notes: cell(notesColumn)
+      };
+    });
+  }
+
+  static toCSV(contacts) {
+    const escape = (value, guardFormulas = true) => {
+      let text = String(value ?? '');
+      // Stop names like "=HYPERLINK(...)" being run as spreadsheet formulas
+      if (guardFormulas && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [CONTACT_CSV_COLUMNS.join(',')];
+    contacts.forEach(contact => {
+      const phones = contact.phones.map(phone => {
+        const number = phone.extension ? `${phone.e164} ext. ${phone.extension}` : phone.e164;
+        return phone.label ? `${phone.label}: ${number}` : number;
+      });
+      const row = {
+        name: contact.name,
+        company: contact.company,
+        phones: phones.join('; '),
+        tags: contact.tags.join('; '),
+        notes: contact.notes
+      };
+      // The phones column is built from validated numbers only, so it needs no formula guard
+      lines.push(CONTACT_CSV_COLUMNS
+        .map(column => column === 'phones' ? escape(row[column], false) : escape(row[column]))
+        .join(','));
+    });
+
+    return lines.join('\r\n');
+  }
+
+  // format: 'vcard3' | 'vcard4' | 'csv'
+  exportContacts(format) {
+    const contacts = [...this.contacts].sort((a, b) => a.name.localeCompare(b.name));
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      return {
+        filename: `contacts-${stamp}.csv`,
+        mimeType: 'text/csv',
+        content: AddressBook.toCSV(contacts)
+      };
+    }
+
+    return {
+      filename: `contacts-${stamp}.vcf`,
+      mimeType: 'text/vcard',
+      content: AddressBook.toVCard(contacts, format === 'vcard4' ? '4.0' : '3.0')
+    };
+  }
+}
@@ -0,0 +1,686 @@
+importScripts('connection-profiles.js', 'credential-vault.js', 'keyboard-shortcuts.js', 'contact-resolver.js', 'callback-scheduler.js');
+
+// Keeps a single softphone session (one hidden iframe, one WebRTC registration)
+// across all tabs. The first tab to register hosts the widget; every other tab
+// forwards its dial requests here and we relay them to the host tab.
+const HOST_TAB_KEY = 'softphoneHostTabId';
+
+class SoftphoneSessionCoordinator {
+  constructor() {
+    this.hostLock = Promise.resolve();
+    this.boundHandleMessage = this.handleMessage.bind(this);
+    chrome.runtime.onMessage.addListener(this.boundHandleMessage);
+    chrome.tabs.onRemoved.addListener((tabId) => this.handleTabRemoved(tabId));
+    chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => this.handleTabRemoved(removedTabId));
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => this.handleTabUpdated(tabId, changeInfo));
+  }
+
+  // Runs one host election at a time. Without it, tabs restored together all
+  // read "no host" before any of them writes, and every one starts a session.
+  withHostLock(task) {
+    const run = this.hostLock.then(task, task);
+    this.hostLock = run.catch(() => {});
+    return run;
+  }
+
+  async getHostTabId() {
+    const result = await chrome.storage.session.get([HOST_TAB_KEY]);
+    return result[HOST_TAB_KEY] ?? null;
+  }
+
+  async setHostTabId(tabId) {
+    await chrome.storage.session.set({ [HOST_TAB_KEY]: tabId });
+  }
+
+  // The stored host is usable while its top frame still runs our content script
+  // with the extension enabled. The tab's own isSessionHost flag isn't asked:
+  // it is still false while that tab waits for its registerTab reply.
+  async isHostAvailable(tabId) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' }, { frameId: 0 });
+      return Boolean(response && response.isEnabled);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  registerTab(tab) {
+    return this.withHostLock(async () => {
+      const hostTabId = await this.getHostTabId();
+
+      if (hostTabId === null || hostTabId === tab.id || !(await this.isHostAvailable(hostTabId))) {
+        await this.setHostTabId(tab.id);
+        console.log('📱 Softphone session hosted in tab', tab.id);
+        return { isHost: true };
+      }
+
+      return { isHost: false };
+    });
+  }
+
+  // Moves the session to a tab that needs it, such as one running a campaign.
+  // The current host may refuse while it has a call in progress.
+  claimHost(tab) {
+    return this.withHostLock(() => this.transferHost(tab));
+  }
+
+  async transferHost(tab) {
+    const hostTabId = await this.getHostTabId();
+
+    if (hostTabId !== null && hostTabId !== tab.id && await this.isHostAvailable(hostTabId)) {
+      try {
+        const response = await chrome.tabs.sendMessage(hostTabId, { action: 'releaseHost' }, { frameId: 0 });
+        if (!response || !response.success) {
+          return { isHost: false, error: response ? response.error : null };
+        }
+      } catch (error) {
+        // The host went away in the meantime
+      }
+    }
+
+    await this.setHostTabId(tab.id);
+    console.log('📱 Softphone session claimed by tab', tab.id);
+    return { isHost: true };
+  }
+
+  // Sends a request to the host tab and brings it to the front. If the host has
+  // gone away, the requesting tab takes over the session instead.
+  async forwardToHost(sender, message, { focus = true } = {}) {
+    const senderTab = sender.tab;
+    // Subframes never host the session, even inside the host tab
+    const fromSubframe = Boolean(sender.frameId);
+    const hostTabId = await this.getHostTabId();
+
+    if (hostTabId !== null && (!senderTab || fromSubframe || hostTabId !== senderTab.id)) {
+      try {
+        await chrome.tabs.sendMessage(hostTabId, message, { frameId: 0 });
+        if (focus) {
+          await this.focusTab(hostTabId);
+        }
+        return { forwarded: true };
+      } catch (error) {
+        console.warn('⚠️ Softphone host tab unreachable:', error.message);
+      }
+    }
+
+    if (!senderTab) {
+      return { forwarded: false };
+    }
+
+    if (fromSubframe) {
+      return this.hostInTopFrame(senderTab.id, message);
+    }
+
+    await this.setHostTabId(senderTab.id);
+    return { forwarded: false, becomeHost: true };
+  }
+
+  // Moves the session to the top frame of a tab whose subframe asked to dial
+  async hostInTopFrame(tabId, message) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'becomeHost' }, { frameId: 0 });
+      if (response && response.success) {
+        await this.setHostTabId(tabId);
+        await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+        return { forwarded: true };
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not move the softphone session to tab', tabId, error.message);
+    }
+    return { forwarded: false };
+  }
+
+  async focusTab(tabId) {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  }
+
+  handleTabRemoved(tabId) {
+    return this.withHostLock(async () => {
+      const hostTabId = await this.getHostTabId();
+      if (hostTabId !== tabId) return;
+
+      await chrome.storage.session.remove(HOST_TAB_KEY);
+      await this.electHost();
+    });
+  }
+
+  // The host tab can stay open and still lose the softphone: it moves to a page
+  // we aren't injected into, or one a site rule turns us off on, or is discarded
+  handleTabUpdated(tabId, changeInfo) {
+    if (changeInfo.status !== 'complete' && !changeInfo.discarded) return;
+
+    return this.withHostLock(async () => {
+      const hostTabId = await this.getHostTabId();
+      if (hostTabId !== tabId) return;
+      if (!changeInfo.discarded && await this.isHostAvailable(tabId)) return;
+
+      await chrome.storage.session.remove(HOST_TAB_KEY);
+      await this.electHost();
+    });
+  }
+
+  // The host page was turned off and gave the session up
+  releaseHost(sender) {
+    return this.withHostLock(async () => {
+      const hostTabId = await this.getHostTabId();
+      if (!sender.tab || sender.frameId !== 0 || hostTabId !== sender.tab.id) return;
+
+      await chrome.storage.session.remove(HOST_TAB_KEY);
+      await this.electHost();
+    });
+  }
+
+  promoteNewHost() {
+    return this.withHostLock(() => this.electHost());
+  }
+
+  // Prefer the tab the user is looking at, then any other tab with our content script
+  async electHost() {
+    const activeTabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const allTabs = await chrome.tabs.query({});
+    const candidates = [...activeTabs, ...allTabs.filter(tab => !activeTabs.some(active => active.id === tab.id))];
+
+    for (const tab of candidates) {
+      try {
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'becomeHost' }, { frameId: 0 });
+        if (response && response.success) {
+          await this.setHostTabId(tab.id);
+          console.log('📱 Softphone session moved to tab', tab.id);
+          return;
+        }
+      } catch (error) {
+        // No content script in this tab
+      }
+    }
+  }
+
+  handleMessage(request, sender, sendResponse) {
+    switch (request.action) {
+      case 'registerSoftphoneTab':
+        this.registerTab(sender.tab).then(sendResponse);
+        return true;
+      case 'claimSoftphoneHost':
+        this.claimHost(sender.tab).then(sendResponse);
+        return true;
+      case 'releaseSoftphoneHost':
+        this.releaseHost(sender).then(() => sendResponse({ success: true }));
+        return true;
+      case 'dial':
+        this.forwardToHost(sender, {
+          action: 'openWidget',
+          number: request.number,
+          source: request.source,
+          contact: request.contact
+        }).then(sendResponse);
+        return true;
+      case 'showSoftphone':
+        this.forwardToHost(sender, { action: 'openWidget' }).then(sendResponse);
+        return true;
+      default:
+        return false;
+    }
+  }
+}
+
+// Mirrors incoming calls as desktop notifications so agents notice them while
+// the host tab is hidden or the browser is minimized.
+const INCOMING_NOTIFICATIONS_KEY = 'incomingCallNotifications';
+
+class IncomingCallNotifier {
+  constructor(coordinator) {
+    this.coordinator = coordinator;
+    this.boundHandleMessage = this.handleMessage.bind(this);
+    chrome.runtime.onMessage.addListener(this.boundHandleMessage);
+    chrome.notifications.onButtonClicked.addListener((id, buttonIndex) => {
+      if (IncomingCallNotifier.owns(id)) this.handleButtonClicked(id, buttonIndex);
+    });
+    chrome.notifications.onClicked.addListener((id) => {
+      if (IncomingCallNotifier.owns(id)) this.handleClicked(id);
+    });
+    chrome.notifications.onClosed.addListener((id) => {
+      if (IncomingCallNotifier.owns(id)) this.forget(id);
+    });
+  }
+
+  static notificationId(callId) {
+    return `incoming-call:${callId || 'current'}`;
+  }
+
+  // Callback reminders share the notification events
+  static owns(notificationId) {
+    return notificationId.startsWith('incoming-call:');
+  }
+
+  // Kept in session storage because the worker may be restarted while the call rings
+  async getPending() {
+    const result = await chrome.storage.session.get([INCOMING_NOTIFICATIONS_KEY]);
+    return result[INCOMING_NOTIFICATIONS_KEY] || {};
+  }
+
+  async remember(notificationId, details) {
+    const pending = await this.getPending();
+    pending[notificationId] = details;
+    await chrome.storage.session.set({ [INCOMING_NOTIFICATIONS_KEY]: pending });
+  }
+
+  async forget(notificationId) {
+    const pending = await this.getPending();
+    const details = pending[notificationId];
+    delete pending[notificationId];
+    await chrome.storage.session.set({ [INCOMING_NOTIFICATIONS_KEY]: pending });
+    return details;
+  }
+
+  async notify(tab, call) {
+    const notificationId = IncomingCallNotifier.notificationId(call.callId);
+    await this.remember(notificationId, { tabId: tab.id, callId: call.callId });
+
+    await chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: 'icons/icon-128.png',
+      title: 'Incoming call',
+      message: call.callerId ? `${call.callerId}\n${call.displayNumber}` : call.displayNumber,
+      buttons: [{ title: 'Answer' }, { title: 'Decline' }],
+      requireInteraction: true,
+      priority: 2
+    });
+  }
+
+  async clear(callId) {
+    const notificationId = IncomingCallNotifier.notificationId(callId);
+    await chrome.notifications.clear(notificationId);
+    await this.forget(notificationId);
+  }
+
+  async handleButtonClicked(notificationId, buttonIndex) {
+    const action = buttonIndex === 0 ? 'answerIncomingCall' : 'declineIncomingCall';
+    await this.dispatchToTab(notificationId, action);
+  }
+
+  async handleClicked(notificationId) {
+    await this.dispatchToTab(notificationId, 'openWidget');
+  }
+
+  async dispatchToTab(notificationId, action) {
+    const details = await this.forget(notificationId);
+    await chrome.notifications.clear(notificationId);
+    if (!details) return;
+
+    try {
+      await this.coordinator.focusTab(details.tabId);
+      await chrome.tabs.sendMessage(details.tabId, { action, callId: details.callId }, { frameId: 0 });
+    } catch (error) {
+      console.warn('⚠️ Could not reach the tab for the incoming call:', error.message);
+    }
+  }
+
+  handleMessage(request, sender, sendResponse) {
+    switch (request.action) {
+      case 'incomingCall':
+        this.notify(sender.tab, request.call).then(() => sendResponse({ success: true }));
+        return true;
+      case 'incomingCallHandled':
+        this.clear(request.callId).then(() => sendResponse({ success: true }));
+        return true;
+      default:
+        return false;
+    }
+  }
+}
+
+// Answers credential requests, but only from the tab that hosts the softphone.
+// The host page may only ask for a single-use token; saving and redeeming come
+// from our content script inside the softphone iframe, on the active profile's
+// origin, so credentials never reach the host page.
+const CREDENTIAL_ACTIONS = ['issueCredentialToken', 'logoutSoftphone'];
+const CREDENTIAL_FRAME_ACTIONS = ['saveCredentials', 'redeemCredentialToken'];
+
+class CredentialBroker {
+  constructor(coordinator) {
+    this.coordinator = coordinator;
+    this.vault = new CredentialVault();
+    this.boundHandleMessage = this.handleMessage.bind(this);
+    chrome.runtime.onMessage.addListener(this.boundHandleMessage);
+  }
+
+  async getActiveProfile() {
+    const profiles = new ConnectionProfiles();
+    await profiles.load();
+    return profiles.getActive();
+  }
+
+  // Only the host tab's top frame holds the softphone iframe; its subframes don't qualify
+  async isHostTab(sender) {
+    const hostTabId = await this.coordinator.getHostTabId();
+    return Boolean(sender.tab) && sender.tab.id === hostTabId && sender.frameId === 0;
+  }
+
+  // The softphone iframe inside the host tab, served from the active profile's origin
+  async isSoftphoneFrame(sender, profile) {
+    const hostTabId = await this.coordinator.getHostTabId();
+    return Boolean(sender.tab) && sender.tab.id === hostTabId && sender.frameId !== 0 &&
+      sender.origin === profile.allowedOrigin;
+  }
+
+  async handleRequest(request, sender) {
+    if (!(await this.isHostTab(sender))) {
+      return { error: 'Credentials are only available to the softphone host tab' };
+    }
+
+    switch (request.action) {
+      case 'issueCredentialToken': {
+        const profile = await this.getActiveProfile();
+        return { token: await this.vault.issueToken(profile.id, profile.allowedOrigin) };
+      }
+      case 'logoutSoftphone':
+        await this.vault.clear(request.profileId || DEFAULT_CONNECTION_PROFILE.id);
+        return { success: true };
+      default:
+        return { error: 'Unknown action' };
+    }
+  }
+
+  async handleFrameRequest(request, sender) {
+    const profile = await this.getActiveProfile();
+    if (!(await this.isSoftphoneFrame(sender, profile))) {
+      return { error: 'Credentials are only available to the softphone frame' };
+    }
+
+    switch (request.action) {
+      case 'saveCredentials':
+        await this.vault.save(profile.id, request.credentials);
+        return { success: true };
+      case 'redeemCredentialToken':
+        return { credentials: await this.vault.redeemToken(request.token, sender.origin) };
+      default:
+        return { error: 'Unknown action' };
+    }
+  }
+
+  handleMessage(request, sender, sendResponse) {
+    const fromFrame = CREDENTIAL_FRAME_ACTIONS.includes(request.action);
+    if (!fromFrame && !CREDENTIAL_ACTIONS.includes(request.action)) return false;
+
+    (fromFrame ? this.handleFrameRequest(request, sender) : this.handleRequest(request, sender))
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+}
+
+// "Call <number>" on the selection context menu, plus the call-selection command.
+// The content script normalizes the text; the menu title follows the selection.
+const CALL_SELECTION_MENU_ID = 'call-selection';
+const CALL_SELECTION_DEFAULT_TITLE = 'Call "%s"';
+
+class CallSelectionMenu {
+  constructor() {
+    this.boundHandleMessage = this.handleMessage.bind(this);
+    chrome.runtime.onMessage.addListener(this.boundHandleMessage);
+    chrome.runtime.onInstalled.addListener(() => this.createMenu());
+    chrome.contextMenus.onClicked.addListener((info, tab) => this.handleMenuClick(info, tab));
+    chrome.commands.onCommand.addListener((command, tab) => this.handleCommand(command, tab));
+  }
+
+  createMenu() {
+    chrome.contextMenus.create({
+      id: CALL_SELECTION_MENU_ID,
+      title: CALL_SELECTION_DEFAULT_TITLE,
+      contexts: ['selection']
+    });
+  }
+
+  async updateTitle(display) {
+    try {
+      await chrome.contextMenus.update(CALL_SELECTION_MENU_ID, {
+        title: display ? `Call ${display}` : CALL_SELECTION_DEFAULT_TITLE
+      });
+    } catch (error) {
+      // Menu not created yet
+    }
+  }
+
+  // The click comes from the frame the text was selected in
+  async handleMenuClick(info, tab) {
+    if (info.menuItemId !== CALL_SELECTION_MENU_ID || !tab) return;
+
+    try {
+      await chrome.tabs.sendMessage(tab.id, {
+        action: 'callSelection',
+        text: info.selectionText
+      }, { frameId: info.frameId || 0 });
+    } catch (error) {
+      console.warn('⚠️ Could not call the selection in tab', tab.id, error.message);
+    }
+  }
+
+  // Commands don't say which frame has focus, so every frame gets it and the focused one acts
+  async handleCommand(command, tab) {
+    if (command !== 'call-selection') return;
+
+    const [target] = tab ? [tab] : await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!target) return;
+
+    try {
+      await chrome.tabs.sendMessage(target.id, { action: 'callSelection' });
+    } catch (error) {
+      console.warn('⚠️ No softphone content script in tab', target.id);
+    }
+  }
+
+  handleMessage(request, sender, sendResponse) {
+    if (request.action !== 'selectionChanged') return false;
+
+    this.updateTitle(request.display).then(() => sendResponse({ success: true }));
+    return true;
+  }
+}
+
+// Browser-wide shortcuts from the manifest `commands`. They work whichever tab
+// has focus: each one is relayed to the tab hosting the softphone session.
+// Hang up and mute act without pulling the host tab to the front.
+const BACKGROUND_COMMANDS = Object.keys(SOFTPHONE_COMMANDS).filter(command => command !== 'close-softphone');
+const FOCUSING_COMMANDS = ['toggle-softphone', 'answer-call', 'redial-last'];
+
+class SoftphoneCommandRouter {
+  constructor(coordinator) {
+    this.coordinator = coordinator;
+    this.boundHandleMessage = this.handleMessage.bind(this);
+    chrome.runtime.onMessage.addListener(this.boundHandleMessage);
+    chrome.commands.onCommand.addListener((command) => this.dispatch(command));
+  }
+
+  async dispatch(command) {
+    if (!BACKGROUND_COMMANDS.includes(command)) return { error: 'Unknown command' };
+
+    const message = { action: 'runSoftphoneCommand', command };
+    const options = { focus: FOCUSING_COMMANDS.includes(command) };
+
+    let result = await this.coordinator.forwardToHost({}, message, options);
+    if (!result.forwarded) {
+      // No live host yet; let a tab take over the session and try once more
+      await this.coordinator.promoteNewHost();
+      result = await this.coordinator.forwardToHost({}, message, options);
+    }
+
+    if (!result.forwarded) {
+      console.warn('⚠️ No tab can run softphone command', command);
+    }
+    return result;
+  }
+
+  // In-page bindings pressed in a tab that doesn't host the session
+  handleMessage(request, sender, sendResponse) {
+    if (request.action !== 'softphoneCommand') return false;
+
+    this.dispatch(request.command).then(sendResponse);
+    return true;
+  }
+}
+
+// REST side of contact lookup. Content scripts can't reach the CRM themselves,
+// so they ask here; we only fetch once the user has granted the CRM's origin.
+class ContactLookupService {
+  constructor() {
+    this.cache = new Map();
+    this.boundHandleMessage = this.handleMessage.bind(this);
+    chrome.runtime.onMessage.addListener(this.boundHandleMessage);
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[CONTACT_LOOKUP_KEY]) this.cache.clear();
+    });
+  }
+
+  async lookup(number) {
+    const settings = await loadContactLookupSettings();
+    if (!settings.rest || !settings.restUrl) return { contact: null };
+
+    const origin = contactLookupOrigin(settings.restUrl);
+    if (!origin) return { error: 'The CRM lookup URL is not valid' };
+    if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+      return { error: `No permission to reach ${origin}` };
+    }
+
+    const cached = this.cache.get(number);
+    if (cached && cached.expiresAt > Date.now()) return { contact: cached.contact };
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONTACT_LOOKUP_TIMEOUT_MS);
+    try {
+      const headers = { Accept: 'application/json' };
+      if (settings.restAuthHeader) headers.Authorization = settings.restAuthHeader;
+
+      const response = await fetch(settings.restUrl.replace('{number}', encodeURIComponent(number)), {
+        headers,
+        credentials: 'omit',
+        signal: controller.signal
+      });
+
+      // A 404 is the usual "no such contact" answer
+      if (response.status === 404) return { contact: null };
+      if (!response.ok) return { error: `CRM responded with ${response.status}` };
+
+      const contact = contactFromRestResponse(await response.json());
+      this.cache.set(number, { contact, expiresAt: Date.now() + CONTACT_CACHE_TTL_MS });
+      return { contact };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  handleMessage(request, sender, sendResponse) {
+    if (request.action !== 'lookupContact') return false;
+
+    this.lookup(request.number)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+}
+
+// Turns scheduled callbacks into alarms and raises a reminder when one is due.
+// Alarms are rebuilt from storage on startup and whenever the list changes, so
+// callbacks edited in the popup or a tab, or set before a restart, stay in step.
+class CallbackReminderService {
+  constructor(coordinator) {
+    this.coordinator = coordinator;
+    this.schedule = new CallbackSchedule();
+    chrome.alarms.onAlarm.addListener((alarm) => this.handleAlarm(alarm));
+    chrome.notifications.onButtonClicked.addListener((id, buttonIndex) => this.handleButtonClicked(id, buttonIndex));
+    chrome.runtime.onStartup.addListener(() => this.syncAlarms());
+    chrome.runtime.onInstalled.addListener(() => this.syncAlarms());
+    this.schedule.onChanged(() => this.syncAlarms());
+  }
+
+  async syncAlarms() {
+    const [callbacks, alarms] = await Promise.all([this.schedule.load(), chrome.alarms.getAll()]);
+    const pending = callbacks.filter(callback => !callback.notifiedAt);
+
+    await Promise.all(alarms
+      .filter(alarm => {
+        const id = CallbackSchedule.idFromAlarm(alarm.name);
+        return id && !pending.some(callback => callback.id === id);
+      })
+      .map(alarm => chrome.alarms.clear(alarm.name)));
+
+    // Anything that fell due while the browser was closed fires straight away
+    await Promise.all(pending.map(callback => {
+      const name = CallbackSchedule.alarmName(callback.id);
+      const due = new Date(callback.dueAt).getTime();
+      const existing = alarms.find(alarm => alarm.name === name);
+      if (existing && (Math.abs(existing.scheduledTime - due) < 1000 || due <= Date.now())) return null;
+      return chrome.alarms.create(name, { when: Math.max(due, Date.now() + 1000) });
+    }));
+  }
+
+  async handleAlarm(alarm) {
+    const id = CallbackSchedule.idFromAlarm(alarm.name);
+    if (!id) return;
+
+    await this.schedule.load();
+    const callback = this.schedule.find(id);
+    if (!callback || callback.notifiedAt) return;
+
+    await chrome.notifications.create(CallbackSchedule.alarmName(id), {
+      type: 'basic',
+      iconUrl: 'icons/icon-128.png',
+      title: 'Callback due',
+      message: [
+        callback.contactName ? `${callback.contactName} · ${callback.displayNumber}` : callback.displayNumber,
+        callback.note
+      ].filter(Boolean).join('\n'),
+      contextMessage: callback.pageTitle || callback.company || '',
+      buttons: [{ title: 'Call now' }, { title: `Snooze ${CALLBACK_SNOOZE_MINUTES} min` }],
+      requireInteraction: true,
+      priority: 2
+    });
+    await this.schedule.markNotified(id);
+  }
+
+  async handleButtonClicked(notificationId, buttonIndex) {
+    const id = CallbackSchedule.idFromAlarm(notificationId);
+    if (!id) return;
+
+    await chrome.notifications.clear(notificationId);
+    if (buttonIndex === 0) {
+      await this.callNow(id);
+    } else {
+      await this.schedule.snooze(id);
+    }
+  }
+
+  // Dials through the host tab as if the number had been clicked on the page it was scheduled from
+  async callNow(id) {
+    await this.schedule.load();
+    const callback = this.schedule.find(id);
+    if (!callback) return;
+
+    const message = {
+      action: 'openWidget',
+      number: CallbackSchedule.dialString(callback),
+      source: callback.pageUrl ? { url: callback.pageUrl, title: callback.pageTitle } : null,
+      contact: callback.contactName ? { name: callback.contactName, company: callback.company, source: 'callback' } : undefined
+    };
+
+    let result = await this.coordinator.forwardToHost({}, message);
+    if (!result.forwarded) {
+      await this.coordinator.promoteNewHost();
+      result = await this.coordinator.forwardToHost({}, message);
+    }
+
+    if (result.forwarded) {
+      await this.schedule.remove(id);
+    } else {
+      // Left in the list so it can be called from the popup
+      console.warn('⚠️ No tab can place the callback to', callback.displayNumber);
+    }
+  }
+}
+
+const sessionCoordinator = new SoftphoneSessionCoordinator();
+new IncomingCallNotifier(sessionCoordinator);
+new CredentialBroker(sessionCoordinator);
+new CallSelectionMenu();
+new SoftphoneCommandRouter(sessionCoordinator);
+new ContactLookupService();
+new CallbackReminderService(sessionCoordinator);
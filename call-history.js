@@ -0,0 +1,235 @@
+// Persistent call log shared by every tab through chrome.storage.local.
+const CALL_HISTORY_KEY = 'callHistory';
+
+const CALL_DIRECTIONS = ['outbound', 'inbound'];
+const CALL_OUTCOMES = ['initiated', 'ringing', 'connected', 'completed', 'missed', 'declined', 'voicemail', 'failed'];
+
+const CALL_EXPORT_COLUMNS = [
+  'number', 'displayNumber', 'extension', 'contactName', 'company', 'direction', 'outcome', 'durationSeconds',
+  'pageTitle', 'pageUrl', 'startedAt', 'startedAtLocal', 'answeredAt', 'answeredAtLocal',
+  'endedAt', 'endedAtLocal', 'disposition', 'notes', 'followUpAt', 'followUpAtLocal', 'campaignId'
+];
+
+class CallHistoryStore {
+  constructor(options = {}) {
+    this.entries = [];
+    this.configure(options);
+  }
+
+  // retentionDays of 0 keeps entries forever
+  configure({ retentionDays = 30, maxEntries = 500 } = {}) {
+    this.retentionDays = Number(retentionDays) || 0;
+    this.maxEntries = Number(maxEntries) || 500;
+  }
+
+  static createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Entries written before outcomes were tracked only had number/timestamp/direction
+  static migrate(entry) {
+    return {
+      id: entry.id || `legacy-${entry.timestamp}`,
+      callId: entry.callId || null,
+      number: entry.number,
+      extension: entry.extension || null,
+      displayNumber: entry.displayNumber || entry.number,
+      contactName: entry.contactName || null,
+      company: entry.company || null,
+      direction: entry.direction || 'outbound',
+      outcome: entry.outcome || 'initiated',
+      timestamp: entry.timestamp,
+      answeredAt: entry.answeredAt || null,
+      endedAt: entry.endedAt || null,
+      duration: entry.duration ?? null,
+      pageUrl: entry.pageUrl || '',
+      pageTitle: entry.pageTitle || '',
+      // Filled in by the wrap-up panel after the call
+      disposition: entry.disposition || null,
+      notes: entry.notes || '',
+      followUpAt: entry.followUpAt || null,
+      wrappedUpAt: entry.wrappedUpAt || null,
+      campaignId: entry.campaignId || null // Set on calls placed by a campaign
+    };
+  }
+
+  async readStored() {
+    const result = await chrome.storage.local.get([CALL_HISTORY_KEY]);
+    return (result[CALL_HISTORY_KEY] || []).map(CallHistoryStore.migrate);
+  }
+
+  async load() {
+    this.entries = this.prune(await this.readStored());
+    return this.entries;
+  }
+
+  // Always re-read before writing so tabs don't overwrite each other's entries
+  async mutate(updater) {
+    const entries = await this.readStored();
+    this.entries = this.prune(updater(entries) || entries);
+    await chrome.storage.local.set({ [CALL_HISTORY_KEY]: this.entries });
+    return this.entries;
+  }
+
+  prune(entries) {
+    let result = entries;
+
+    if (this.retentionDays > 0) {
+      const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+      result = result.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+    }
+
+    return result.slice(0, this.maxEntries);
+  }
+
+  async add(call) {
+    const entry = CallHistoryStore.migrate({
+      ...call,
+      id: CallHistoryStore.createId(),
+      timestamp: call.timestamp || new Date().toISOString()
+    });
+
+    await this.mutate(entries => [entry, ...entries]);
+    return entry;
+  }
+
+  async update(id, changes) {
+    let updated = null;
+
+    await this.mutate(entries => entries.map(entry => {
+      if (entry.id !== id) return entry;
+      updated = { ...entry, ...changes };
+      return updated;
+    }));
+
+    return updated;
+  }
+
+  async clear() {
+    this.entries = [];
+    await chrome.storage.local.set({ [CALL_HISTORY_KEY]: [] });
+  }
+
+  // Most recent call that hasn't ended, matched by the softphone's call id or number
+  findOpenEntry({ callId = null, number = null } = {}) {
+    const open = this.entries.filter(entry => !entry.endedAt);
+
+    if (callId) {
+      const byCallId = open.find(entry => entry.callId === callId);
+      if (byCallId) return byCallId;
+    }
+
+    if (number) {
+      const byNumber = open.find(entry => entry.number === number);
+      if (byNumber) return byNumber;
+    }
+
+    // The softphone may only assign its own call id after we dialed
+    return open.find(entry => !entry.callId) || null;
+  }
+
+  // filter: { search, direction, outcome, from, to } — from/to are Date-parsable values
+  query(filter = {}) {
+    const { search, direction, outcome, from, to } = filter;
+    const searchText = search ? search.trim().toLowerCase() : '';
+    const searchDigits = searchText.replace(/\D/g, '');
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    return this.entries.filter(entry => {
+      if (direction && entry.direction !== direction) return false;
+      if (outcome && entry.outcome !== outcome) return false;
+
+      const time = new Date(entry.timestamp).getTime();
+      if (fromTime !== null && time < fromTime) return false;
+      if (toTime !== null && time > toTime) return false;
+
+      if (searchText) {
+        const haystack = [entry.displayNumber, entry.contactName, entry.company, entry.disposition, entry.notes, entry.pageTitle, entry.pageUrl]
+          .join(' ').toLowerCase();
+        const matchesDigits = searchDigits.length > 0 && entry.number.replace(/\D/g, '').includes(searchDigits);
+        if (!matchesDigits && !haystack.includes(searchText)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  static toIso(value) {
+    return value ? new Date(value).toISOString() : '';
+  }
+
+  static toLocal(value) {
+    return value ? new Date(value).toLocaleString() : '';
+  }
+
+  static toExportRow(entry) {
+    return {
+      number: entry.number,
+      displayNumber: entry.displayNumber,
+      extension: entry.extension || '',
+      contactName: entry.contactName || '',
+      company: entry.company || '',
+      direction: entry.direction,
+      outcome: entry.outcome,
+      durationSeconds: entry.duration ?? '',
+      pageTitle: entry.pageTitle,
+      pageUrl: entry.pageUrl,
+      startedAt: CallHistoryStore.toIso(entry.timestamp),
+      startedAtLocal: CallHistoryStore.toLocal(entry.timestamp),
+      answeredAt: CallHistoryStore.toIso(entry.answeredAt),
+      answeredAtLocal: CallHistoryStore.toLocal(entry.answeredAt),
+      endedAt: CallHistoryStore.toIso(entry.endedAt),
+      endedAtLocal: CallHistoryStore.toLocal(entry.endedAt),
+      disposition: entry.disposition || '',
+      notes: entry.notes,
+      followUpAt: CallHistoryStore.toIso(entry.followUpAt),
+      followUpAtLocal: CallHistoryStore.toLocal(entry.followUpAt),
+      campaignId: entry.campaignId || ''
+    };
+  }
+
+  static toCSV(entries) {
+    const escape = (value) => {
+      let text = String(value ?? '');
+      // Stop page titles like "=HYPERLINK(...)" being run as spreadsheet formulas
+      if (/^[=@\t\r]/.test(text) || (/^[+\-]/.test(text) && !/^[+\-][\d\s().\-]*(?:ext\. \d+)?$/.test(text))) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [CALL_EXPORT_COLUMNS.join(',')];
+    entries.forEach(entry => {
+      const row = CallHistoryStore.toExportRow(entry);
+      lines.push(CALL_EXPORT_COLUMNS.map(column => escape(row[column])).join(','));
+    });
+
+    // CRLF line endings so spreadsheets open it cleanly
+    return lines.join('\r\n');
+  }
+
+  static toJSON(entries) {
+    return JSON.stringify(entries.map(CallHistoryStore.toExportRow), null, 2);
+  }
+
+  // format: 'csv' | 'json'; from/to narrow the export to a date range
+  exportEntries(format, { from = null, to = null } = {}) {
+    const entries = this.query({ from, to });
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+      return {
+        filename: `call-history-${stamp}.json`,
+        mimeType: 'application/json',
+        content: CallHistoryStore.toJSON(entries)
+      };
+    }
+
+    return {
+      filename: `call-history-${stamp}.csv`,
+      mimeType: 'text/csv',
+      content: CallHistoryStore.toCSV(entries)
+    };
+  }
+}
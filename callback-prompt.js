@@ -0,0 +1,114 @@
+// Small in-page form for scheduling a callback to a number on the page
+// (Shift+click or Shift+Enter on a highlight). Styled like the wrap-up panel.
+
+class CallbackPrompt {
+  // onSchedule(call, { dueAt, note }) stores the callback
+  constructor({ onSchedule }) {
+    this.onSchedule = onSchedule;
+    this.element = null;
+    this.call = null;
+  }
+
+  get isVisible() {
+    return Boolean(this.element);
+  }
+
+  // call: a normalized number with its contact, if one was found
+  show(call) {
+    this.dismiss();
+    this.call = call;
+    this.element = this.render(call);
+    document.body.appendChild(this.element);
+    this.element.elements.dueAt.focus();
+  }
+
+  render(call) {
+    const form = document.createElement('form');
+    form.className = 'softphone-wrap-up softphone-callback-prompt';
+    form.setAttribute('role', 'dialog');
+    form.setAttribute('aria-labelledby', 'softphone-callback-prompt-title');
+
+    const title = document.createElement('div');
+    title.className = 'softphone-wrap-up-title';
+    title.id = 'softphone-callback-prompt-title';
+    title.textContent = 'Schedule a callback';
+
+    const summary = document.createElement('div');
+    summary.className = 'softphone-wrap-up-summary';
+    summary.textContent = call.contact ? `${call.contact.name} · ${call.display}` : call.display;
+
+    const dueAt = document.createElement('input');
+    dueAt.type = 'datetime-local';
+    dueAt.name = 'dueAt';
+    dueAt.required = true;
+    dueAt.min = toLocalDateTimeValue(new Date());
+    dueAt.value = toLocalDateTimeValue(new Date(Date.now() + CALLBACK_DEFAULT_DELAY_MINUTES * 60000));
+
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.name = 'note';
+    note.placeholder = 'What to call about';
+
+    form.appendChild(title);
+    form.appendChild(summary);
+    form.appendChild(this.labelled('Call back at', dueAt));
+    form.appendChild(this.labelled('Note', note));
+
+    const actions = document.createElement('div');
+    actions.className = 'softphone-wrap-up-actions';
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'softphone-wrap-up-button skip';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => this.dismiss());
+
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'softphone-wrap-up-button save';
+    save.textContent = 'Schedule';
+
+    actions.appendChild(cancel);
+    actions.appendChild(save);
+    form.appendChild(actions);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+    form.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      this.dismiss();
+    });
+
+    return form;
+  }
+
+  labelled(text, field) {
+    const label = document.createElement('label');
+    label.className = 'softphone-wrap-up-field';
+    label.appendChild(document.createTextNode(text));
+    label.appendChild(field);
+    return label;
+  }
+
+  save() {
+    const form = this.element;
+    const call = this.call;
+
+    this.dismiss();
+    this.onSchedule(call, {
+      dueAt: new Date(form.elements.dueAt.value).toISOString(),
+      note: form.elements.note.value.trim()
+    });
+  }
+
+  dismiss() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+    this.call = null;
+  }
+}
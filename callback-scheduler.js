@@ -0,0 +1,161 @@
+// Callbacks the agent promised to make, kept in chrome.storage.local so they
+// survive restarts. The background worker turns each one into a chrome.alarms
+// alarm and raises a reminder when it is due; tabs and the popup only edit the list.
+const CALLBACKS_KEY = 'scheduledCallbacks';
+const CALLBACK_ALARM_PREFIX = 'callback:';
+const CALLBACK_SNOOZE_MINUTES = 10;
+const CALLBACK_MAX_SCHEDULED = 500;
+const CALLBACK_DEFAULT_DELAY_MINUTES = 60;
+
+// <input type="datetime-local"> wants local time without a zone
+function toLocalDateTimeValue(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+class CallbackSchedule {
+  constructor() {
+    this.callbacks = [];
+  }
+
+  static createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  static migrate(callback) {
+    return {
+      id: callback.id || CallbackSchedule.createId(),
+      number: callback.number,
+      extension: callback.extension || null,
+      displayNumber: callback.displayNumber || callback.number,
+      contactName: callback.contactName || null,
+      company: callback.company || null,
+      dueAt: callback.dueAt,
+      note: callback.note || '',
+      pageUrl: callback.pageUrl || '',
+      pageTitle: callback.pageTitle || '',
+      historyEntryId: callback.historyEntryId || null, // Call history entry the callback follows up on
+      snoozeCount: callback.snoozeCount || 0,
+      notifiedAt: callback.notifiedAt || null, // Set once the reminder has been shown
+      createdAt: callback.createdAt || new Date().toISOString()
+    };
+  }
+
+  // Alarms and reminder notifications share the callback's id under our prefix
+  static alarmName(id) {
+    return `${CALLBACK_ALARM_PREFIX}${id}`;
+  }
+
+  static idFromAlarm(name) {
+    return name.startsWith(CALLBACK_ALARM_PREFIX) ? name.slice(CALLBACK_ALARM_PREFIX.length) : null;
+  }
+
+  // What to pass to initiateCall
+  static dialString(callback) {
+    return callback.extension ? `${callback.number} ext. ${callback.extension}` : callback.number;
+  }
+
+  async readStored() {
+    const result = await chrome.storage.local.get([CALLBACKS_KEY]);
+    return (result[CALLBACKS_KEY] || []).map(CallbackSchedule.migrate);
+  }
+
+  async load() {
+    this.callbacks = await this.readStored();
+    return this.callbacks;
+  }
+
+  // Re-reads before writing so the popup, tabs and worker don't overwrite each other
+  async mutate(updater) {
+    const callbacks = await this.readStored();
+    this.callbacks = updater(callbacks) || callbacks;
+    await chrome.storage.local.set({ [CALLBACKS_KEY]: this.callbacks });
+    return this.callbacks;
+  }
+
+  find(id) {
+    return this.callbacks.find(callback => callback.id === id) || null;
+  }
+
+  // Soonest first; overdue callbacks stay listed until called or removed
+  upcoming() {
+    return [...this.callbacks].sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+  }
+
+  // input: { id?, number, extension, displayNumber, contactName, company, dueAt,
+  // note, pageUrl, pageTitle, historyEntryId }. Passing an id edits that
+  // callback; a second callback for the same history entry replaces the first.
+  async schedule(input) {
+    if (!input.number) {
+      throw new Error('Enter a valid phone number');
+    }
+    const due = new Date(input.dueAt);
+    if (!input.dueAt || Number.isNaN(due.getTime())) {
+      throw new Error('Choose when to call back');
+    }
+
+    let saved = null;
+    await this.mutate(callbacks => {
+      const index = callbacks.findIndex(callback => (input.id && callback.id === input.id) ||
+        (input.historyEntryId && callback.historyEntryId === input.historyEntryId));
+      const existing = index >= 0 ? callbacks[index] : null;
+
+      if (!existing && callbacks.length >= CALLBACK_MAX_SCHEDULED) {
+        throw new Error(`You can schedule up to ${CALLBACK_MAX_SCHEDULED} callbacks`);
+      }
+
+      saved = CallbackSchedule.migrate({
+        ...existing,
+        ...input,
+        id: existing ? existing.id : null,
+        dueAt: due.toISOString(),
+        note: String(input.note ?? (existing ? existing.note : '')).trim(),
+        snoozeCount: 0,
+        notifiedAt: null
+      });
+
+      return existing
+        ? callbacks.map((callback, i) => i === index ? saved : callback)
+        : [...callbacks, saved];
+    });
+    return saved;
+  }
+
+  async remove(id) {
+    await this.mutate(callbacks => callbacks.filter(callback => callback.id !== id));
+  }
+
+  // Pushes the callback back from now, or from its due time if that is still ahead
+  async snooze(id, minutes = CALLBACK_SNOOZE_MINUTES) {
+    let snoozed = null;
+    await this.mutate(callbacks => callbacks.map(callback => {
+      if (callback.id !== id) return callback;
+      const from = Math.max(Date.now(), new Date(callback.dueAt).getTime());
+      snoozed = {
+        ...callback,
+        dueAt: new Date(from + minutes * 60000).toISOString(),
+        snoozeCount: callback.snoozeCount + 1,
+        notifiedAt: null
+      };
+      return snoozed;
+    }));
+    return snoozed;
+  }
+
+  async markNotified(id) {
+    await this.mutate(callbacks => callbacks.map(callback => callback.id === id
+      ? { ...callback, notifiedAt: new Date().toISOString() }
+      : callback));
+  }
+
+  // Returns an unsubscribe function
+  onChanged(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName !== 'local' || !changes[CALLBACKS_KEY]) return;
+      this.callbacks = (changes[CALLBACKS_KEY].newValue || []).map(CallbackSchedule.migrate);
+      callback(this.callbacks);
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
@@ -0,0 +1,409 @@
+// Campaign mode: queues the numbers found on the page (or in the selected part
+// of it, such as a few table rows) and dials them one after another. Preview
+// mode waits for the agent to press Call; auto-dial moves on after a gap. The
+// queue is kept per page URL so a reload picks up where it left off, paused.
+const CAMPAIGN_STATE_KEY = 'campaigns';
+const CAMPAIGN_DEFAULT_GAP_SECONDS = 10;
+const CAMPAIGN_MAX_GAP_SECONDS = 300;
+const CAMPAIGN_MAX_NUMBERS = 1000;
+const CAMPAIGN_MAX_SAVED = 10; // Pages whose queues are kept at once
+
+class CampaignDialer {
+  // resolveContact(item) -> { name, company } | null; claimHost() makes this tab the
+  // session host and throws if it can't; dial(item, campaignId) places the call and
+  // resolves to false if it couldn't; isBusy() is true while a call, incoming call
+  // or wrap-up should hold the next dial
+  constructor({ highlighter, detector, normalizer, resolveContact, claimHost, dial, isBusy }) {
+    this.highlighter = highlighter;
+    this.detector = detector;
+    this.normalizer = normalizer;
+    this.resolveContact = resolveContact;
+    this.claimHost = claimHost;
+    this.dial = dial;
+    this.isBusy = isBusy;
+    this.state = null;
+    this.element = null;
+    this.controls = null;
+    this.countdown = null; // Seconds until the next auto-dial
+    this.timer = null;
+  }
+
+  get isActive() {
+    return Boolean(this.state);
+  }
+
+  get isRunning() {
+    return Boolean(this.state && !this.state.paused && this.currentItem());
+  }
+
+  // The queue belongs to the page, not to a position in it
+  static pageKey(url = location.href) {
+    return url.split('#')[0];
+  }
+
+  static createId() {
+    return `campaign-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  async readStored() {
+    const result = await chrome.storage.local.get([CAMPAIGN_STATE_KEY]);
+    return result[CAMPAIGN_STATE_KEY] || {};
+  }
+
+  async save() {
+    const key = CampaignDialer.pageKey();
+    const stored = await this.readStored();
+
+    if (this.state) {
+      stored[key] = { ...this.state, updatedAt: new Date().toISOString() };
+    } else {
+      delete stored[key];
+    }
+
+    const keep = Object.keys(stored)
+      .sort((a, b) => new Date(stored[b].updatedAt) - new Date(stored[a].updatedAt))
+      .slice(0, CAMPAIGN_MAX_SAVED);
+    await chrome.storage.local.set({
+      [CAMPAIGN_STATE_KEY]: Object.fromEntries(keep.map(pageKey => [pageKey, stored[pageKey]]))
+    });
+  }
+
+  // Brings back this page's queue after a reload. A call that was being placed
+  // went away with the page, so it is offered again rather than counted.
+  async restore() {
+    const stored = await this.readStored();
+    const state = stored[CampaignDialer.pageKey()];
+    if (!state) return false;
+
+    state.items.forEach(item => {
+      if (item.status === 'dialing') item.status = 'pending';
+    });
+    this.state = { ...state, paused: true };
+    this.render();
+    this.setStatus('Campaign restored after reload. Press Resume to continue.');
+    return true;
+  }
+
+  // Numbers inside the current selection, or on the whole page without one
+  collect() {
+    const selection = window.getSelection();
+    const range = selection && !selection.isCollapsed && selection.rangeCount ? selection.getRangeAt(0) : null;
+    const items = [];
+
+    const add = (number) => {
+      const normalized = this.normalizer.normalize(number);
+      if (!normalized || items.length >= CAMPAIGN_MAX_NUMBERS) return;
+      if (items.some(item => item.e164 === normalized.e164 && item.extension === normalized.extension)) return;
+      items.push({
+        e164: normalized.e164,
+        extension: normalized.extension,
+        display: normalized.display,
+        contactName: null,
+        company: null,
+        status: 'pending', // pending, dialing, done or skipped
+        outcome: null,
+        entryId: null
+      });
+    };
+
+    [document, ...this.highlighter.shadowRoots].forEach(root => {
+      root.querySelectorAll(`.${HIGHLIGHT_CLASS}, a[href^="tel:"]`).forEach(element => {
+        if (range && !selection.containsNode(element, true)) return;
+        add(element.dataset.softphoneNumber || element.getAttribute('href').replace(/^tel:/i, ''));
+      });
+    });
+
+    // Highlighting may be off for this site; fall back to reading the text
+    if (!items.length) {
+      const text = range ? range.toString() : document.body.innerText;
+      this.detector.findAll(text).forEach(match => add(match.number));
+    }
+
+    return { items, fromSelection: Boolean(range) };
+  }
+
+  async start() {
+    const { items, fromSelection } = this.collect();
+    if (!items.length) {
+      throw new Error(fromSelection ? 'No phone numbers in the selection' : 'No phone numbers found on this page');
+    }
+
+    this.state = {
+      id: CampaignDialer.createId(),
+      title: document.title,
+      items,
+      autoDial: false,
+      gapSeconds: CAMPAIGN_DEFAULT_GAP_SECONDS,
+      paused: false,
+      startedAt: new Date().toISOString()
+    };
+    await this.save();
+    this.render();
+    this.advance();
+    return items.length;
+  }
+
+  currentItem() {
+    return this.state ? this.state.items.find(item => item.status === 'pending' || item.status === 'dialing') || null : null;
+  }
+
+  // Shows the next number and, in auto-dial, starts counting down to it
+  async advance() {
+    const item = this.currentItem();
+    this.countdown = item && this.state.autoDial && !this.state.paused ? this.state.gapSeconds : null;
+    this.render();
+
+    if (!item) {
+      this.stopTimer();
+      this.setStatus('Campaign finished.');
+      return;
+    }
+
+    this.setStatus(this.state.paused ? 'Paused.' : this.state.autoDial ? '' : 'Press Call when ready.');
+    if (this.countdown !== null) this.startTimer();
+
+    if (!item.contactName) {
+      const contact = await this.resolveContact(item);
+      if (contact && this.currentItem() === item) {
+        item.contactName = contact.name;
+        item.company = contact.company;
+        this.render();
+      }
+    }
+  }
+
+  startTimer() {
+    this.stopTimer();
+    this.timer = setInterval(() => this.tick(), 1000);
+    this.tick(false);
+  }
+
+  stopTimer() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // A wrap-up or a call still in progress holds the countdown where it is
+  tick(count = true) {
+    const item = this.currentItem();
+    if (!item || item.status !== 'pending' || this.state.paused || this.countdown === null) {
+      this.stopTimer();
+      return;
+    }
+
+    if (this.isBusy()) {
+      this.setStatus('Waiting for the current call to finish…');
+      return;
+    }
+
+    if (count) this.countdown--;
+    if (this.countdown <= 0) {
+      this.stopTimer();
+      this.callCurrent();
+      return;
+    }
+    this.setStatus(`Calling in ${this.countdown}s…`);
+  }
+
+  async callCurrent() {
+    const item = this.currentItem();
+    if (!item || item.status !== 'pending') return;
+
+    if (this.isBusy()) {
+      this.setStatus('Finish the current call first.');
+      return;
+    }
+
+    this.stopTimer();
+    this.countdown = null;
+    item.status = 'dialing';
+    await this.save();
+    this.render();
+    this.setStatus(`Calling ${item.contactName || item.display}…`);
+
+    let placed = false;
+    try {
+      placed = await this.dial(item, this.state.id);
+    } catch (error) {
+      console.error('Error placing campaign call:', error);
+    }
+    if (placed || this.currentItem() !== item || item.status !== 'dialing') return;
+
+    // Offered again rather than counted; the agent retries or skips it
+    item.status = 'pending';
+    await this.save();
+    this.render();
+    this.setStatus(`Could not call ${item.contactName || item.display}. Press Call to try again or Skip.`);
+  }
+
+  async skip() {
+    const item = this.currentItem();
+    if (!item) return;
+
+    item.status = 'skipped';
+    await this.save();
+    this.advance();
+  }
+
+  // Resuming takes the session back first: outcomes only come back to the host,
+  // and another tab may have taken it while paused or before a reload
+  async togglePause() {
+    if (!this.state) return;
+
+    if (this.state.paused) {
+      try {
+        await this.claimHost();
+      } catch (error) {
+        this.setStatus(error.message);
+        return;
+      }
+    }
+
+    this.state.paused = !this.state.paused;
+    await this.save();
+    if (this.state.paused) this.stopTimer();
+    this.advance();
+  }
+
+  async stop() {
+    this.stopTimer();
+    this.state = null;
+    await this.save();
+    this.dismiss();
+  }
+
+  async setAutoDial(autoDial) {
+    this.state.autoDial = autoDial;
+    await this.save();
+    if (!autoDial) this.stopTimer();
+    this.advance();
+  }
+
+  async setGap(seconds) {
+    this.state.gapSeconds = Math.min(Math.max(Math.round(seconds) || 0, 0), CAMPAIGN_MAX_GAP_SECONDS);
+    await this.save();
+  }
+
+  // entry: the call history entry of a call that just ended. Returns true if it was ours.
+  async handleCallEnded(entry) {
+    const item = this.currentItem();
+    if (!item || item.status !== 'dialing' || entry.campaignId !== this.state.id) return false;
+
+    item.status = 'done';
+    item.outcome = entry.outcome;
+    item.entryId = entry.id;
+    await this.save();
+    this.advance();
+    return true;
+  }
+
+  render() {
+    if (!this.state) return;
+
+    if (!this.element) {
+      this.element = this.createPanel();
+      document.body.appendChild(this.element);
+    }
+
+    const { items, paused, autoDial, gapSeconds } = this.state;
+    const item = this.currentItem();
+    const done = items.filter(entry => entry.status === 'done').length;
+    const skipped = items.filter(entry => entry.status === 'skipped').length;
+    const controls = this.controls;
+
+    controls.progress.textContent = item
+      ? `${items.indexOf(item) + 1} of ${items.length} · ${done} called · ${skipped} skipped`
+      : `${done} called · ${skipped} skipped`;
+    controls.name.textContent = item ? item.contactName || item.display : 'All numbers done';
+    controls.number.textContent = item ? [item.contactName ? item.display : null, item.company].filter(Boolean).join(' · ') : '';
+
+    controls.call.disabled = !item || item.status !== 'pending';
+    controls.skip.disabled = !item;
+    controls.pause.disabled = !item;
+    controls.pause.textContent = paused ? 'Resume' : 'Pause';
+    controls.autoDial.checked = autoDial;
+    controls.gap.value = String(gapSeconds);
+    controls.stop.textContent = item ? 'Stop' : 'Close';
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'softphone-campaign';
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', 'Call campaign');
+
+    const title = document.createElement('div');
+    title.className = 'softphone-campaign-title';
+    title.textContent = 'Campaign';
+
+    const progress = document.createElement('div');
+    progress.className = 'softphone-campaign-progress';
+
+    const name = document.createElement('div');
+    name.className = 'softphone-campaign-name';
+
+    const number = document.createElement('div');
+    number.className = 'softphone-campaign-number';
+
+    const status = document.createElement('div');
+    status.className = 'softphone-campaign-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const button = (label, className, onClick) => {
+      const element = document.createElement('button');
+      element.type = 'button';
+      element.className = `softphone-campaign-button ${className}`;
+      element.textContent = label;
+      element.addEventListener('click', onClick);
+      return element;
+    };
+
+    const actions = document.createElement('div');
+    actions.className = 'softphone-campaign-actions';
+    const call = button('Call', 'call', () => this.callCurrent());
+    const skip = button('Skip', 'skip', () => this.skip());
+    const pause = button('Pause', 'pause', () => this.togglePause());
+    const stop = button('Stop', 'stop', () => this.stop());
+    [call, skip, pause, stop].forEach(element => actions.appendChild(element));
+
+    const options = document.createElement('div');
+    options.className = 'softphone-campaign-options';
+
+    const autoDialLabel = document.createElement('label');
+    const autoDial = document.createElement('input');
+    autoDial.type = 'checkbox';
+    autoDial.addEventListener('change', () => this.setAutoDial(autoDial.checked));
+    autoDialLabel.appendChild(autoDial);
+    autoDialLabel.appendChild(document.createTextNode('Auto-dial'));
+
+    const gapLabel = document.createElement('label');
+    const gap = document.createElement('input');
+    gap.type = 'number';
+    gap.min = '0';
+    gap.max = String(CAMPAIGN_MAX_GAP_SECONDS);
+    gap.addEventListener('change', () => this.setGap(Number(gap.value)));
+    gapLabel.appendChild(document.createTextNode('Gap'));
+    gapLabel.appendChild(gap);
+    gapLabel.appendChild(document.createTextNode('s'));
+
+    options.appendChild(autoDialLabel);
+    options.appendChild(gapLabel);
+
+    [title, progress, name, number, status, actions, options].forEach(element => panel.appendChild(element));
+    this.controls = { progress, name, number, status, call, skip, pause, stop, autoDial, gap };
+    return panel;
+  }
+
+  setStatus(text) {
+    if (this.controls) this.controls.status.textContent = text;
+  }
+
+  dismiss() {
+    this.stopTimer();
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+      this.controls = null;
+    }
+  }
+}
@@ -0,0 +1,148 @@
+// Named softphone backends (PBX tenants). User profiles live in chrome.storage.sync;
+// IT can pre-seed or lock them through managed policy (chrome.storage.managed).
+const CONNECTION_PROFILES_KEY = 'connectionProfiles';
+const ACTIVE_PROFILE_KEY = 'activeProfileId';
+
+const DEFAULT_CONNECTION_PROFILE = {
+  id: 'default',
+  name: 'IVR Solutions',
+  widgetUrl: 'https://founderscartin.s3.ap-south-1.amazonaws.com/app/ivrsolutions/webrtc/chrome-ext/index.html',
+  allowedOrigin: 'https://founderscartin.s3.ap-south-1.amazonaws.com',
+  sipDomain: '',
+  managed: false
+};
+
+class ConnectionProfiles {
+  constructor() {
+    this.profiles = [DEFAULT_CONNECTION_PROFILE];
+    this.activeProfileId = DEFAULT_CONNECTION_PROFILE.id;
+    this.isLocked = false;
+  }
+
+  // Returns a cleaned-up profile, or null when its URLs are unusable
+  static normalizeProfile(profile, managed = false) {
+    if (!profile || typeof profile !== 'object' || !profile.widgetUrl) return null;
+
+    try {
+      const widgetUrl = new URL(profile.widgetUrl);
+      const allowedOrigin = new URL(profile.allowedOrigin || widgetUrl.origin).origin;
+      if (widgetUrl.protocol !== 'https:' || !allowedOrigin.startsWith('https:')) return null;
+
+      return {
+        id: String(profile.id || widgetUrl.host),
+        name: String(profile.name || widgetUrl.host),
+        widgetUrl: widgetUrl.href,
+        allowedOrigin,
+        sipDomain: String(profile.sipDomain || ''),
+        managed
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async readManaged() {
+    try {
+      return await chrome.storage.managed.get([CONNECTION_PROFILES_KEY, ACTIVE_PROFILE_KEY, 'lockProfiles']);
+    } catch (error) {
+      // No policy installed
+      return {};
+    }
+  }
+
+  async load() {
+    const [stored, managed] = await Promise.all([
+      chrome.storage.sync.get([CONNECTION_PROFILES_KEY, ACTIVE_PROFILE_KEY]),
+      this.readManaged()
+    ]);
+
+    const managedProfiles = (managed[CONNECTION_PROFILES_KEY] || [])
+      .map(profile => ConnectionProfiles.normalizeProfile(profile, true))
+      .filter(Boolean);
+    const userProfiles = (stored[CONNECTION_PROFILES_KEY] || [])
+      .map(profile => ConnectionProfiles.normalizeProfile(profile))
+      .filter(profile => profile && !managedProfiles.some(managedProfile => managedProfile.id === profile.id));
+
+    this.isLocked = Boolean(managed.lockProfiles) && managedProfiles.length > 0;
+    this.profiles = this.isLocked
+      ? managedProfiles
+      : [...managedProfiles, DEFAULT_CONNECTION_PROFILE, ...userProfiles]
+        .filter((profile, index, all) => all.findIndex(other => other.id === profile.id) === index);
+
+    const preferred = this.isLocked
+      ? [managed[ACTIVE_PROFILE_KEY]]
+      : [stored[ACTIVE_PROFILE_KEY], managed[ACTIVE_PROFILE_KEY]];
+    this.activeProfileId = preferred.find(id => this.getProfile(id)) || this.profiles[0].id;
+
+    return this.getActive();
+  }
+
+  getProfile(id) {
+    return this.profiles.find(profile => profile.id === id) || null;
+  }
+
+  getActive() {
+    return this.getProfile(this.activeProfileId) || this.profiles[0];
+  }
+
+  getUserProfiles() {
+    return this.profiles.filter(profile => !profile.managed && profile.id !== DEFAULT_CONNECTION_PROFILE.id);
+  }
+
+  async setActive(id) {
+    if (this.isLocked || !this.getProfile(id)) {
+      throw new Error('This connection profile cannot be selected');
+    }
+
+    this.activeProfileId = id;
+    await chrome.storage.sync.set({ [ACTIVE_PROFILE_KEY]: id });
+  }
+
+  async saveProfile(profile) {
+    const normalized = ConnectionProfiles.normalizeProfile({
+      ...profile,
+      id: profile.id || `profile-${Date.now().toString(36)}`
+    });
+    if (!normalized) {
+      throw new Error('Widget URL and allowed origin must be valid https URLs');
+    }
+
+    const existing = this.getProfile(normalized.id);
+    if (this.isLocked || (existing && (existing.managed || existing.id === DEFAULT_CONNECTION_PROFILE.id))) {
+      throw new Error('Managed profiles cannot be changed');
+    }
+
+    const userProfiles = this.getUserProfiles().filter(item => item.id !== normalized.id);
+    await chrome.storage.sync.set({ [CONNECTION_PROFILES_KEY]: [...userProfiles, normalized] });
+    await this.load();
+    return normalized;
+  }
+
+  async deleteProfile(id) {
+    const userProfiles = this.getUserProfiles();
+    if (!userProfiles.some(profile => profile.id === id)) {
+      throw new Error('Only your own profiles can be removed');
+    }
+
+    await chrome.storage.sync.set({
+      [CONNECTION_PROFILES_KEY]: userProfiles.filter(profile => profile.id !== id)
+    });
+    if (this.activeProfileId === id) {
+      await chrome.storage.sync.remove(ACTIVE_PROFILE_KEY);
+    }
+    await this.load();
+  }
+
+  // Calls back with the newly active profile whenever profiles or policy change
+  onChanged(callback) {
+    const listener = (changes, areaName) => {
+      const relevant = changes[CONNECTION_PROFILES_KEY] || changes[ACTIVE_PROFILE_KEY] || changes.lockProfiles;
+      if ((areaName === 'sync' || areaName === 'managed') && relevant) {
+        this.load().then(callback);
+      }
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
@@ -0,0 +1,239 @@
+// Who is on the other end of a call. Adapters are tried in order and the first
+// one that knows the number wins: the local address book, the page the number
+// was found on, then a CRM reached over REST through the background worker.
+const CONTACT_LOOKUP_KEY = 'contactLookup';
+const CONTACT_LOOKUP_TIMEOUT_MS = 2000;
+const CONTACT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Kept in chrome.storage.local rather than sync: restAuthHeader may hold an API key
+const DEFAULT_CONTACT_LOOKUP = {
+  addressBook: true,
+  page: true,
+  rest: false,
+  restUrl: '', // {number} is replaced with the E.164 number, e.g. https://crm.example.com/contacts?phone={number}
+  restAuthHeader: '' // Sent as the Authorization header when set
+};
+
+const CONTACT_CONTAINER_SELECTOR = '[itemscope], .vcard, .h-card, tr, li, article, address, dl, [class*="contact" i], [class*="card" i]';
+const CONTACT_NAME_SELECTOR = '[itemprop="name"], .fn, .p-name, [class*="name" i]';
+const CONTACT_COMPANY_SELECTOR = '[itemprop="worksFor"], [itemprop="affiliation"], .org, .p-org, [class*="company" i], [class*="organization" i], [class*="account" i]';
+const CONTACT_HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, strong, b';
+const CONTACT_CONTAINER_MAX_TEXT = 1000;
+
+async function loadContactLookupSettings() {
+  const result = await chrome.storage.local.get([CONTACT_LOOKUP_KEY]);
+  return { ...DEFAULT_CONTACT_LOOKUP, ...result[CONTACT_LOOKUP_KEY] };
+}
+
+// Origin pattern the REST adapter needs host permission for, or null for a bad URL
+function contactLookupOrigin(restUrl) {
+  try {
+    const url = new URL(restUrl.replace('{number}', '0'));
+    return ['https:', 'http:'].includes(url.protocol) ? `${url.origin}/*` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// CRMs disagree on shapes: accept a record, a list of records, or a list under
+// data/results/contacts/items, and the usual name and company field names
+function contactFromRestResponse(body) {
+  let record = body;
+  if (record && !Array.isArray(record)) {
+    record = record.data || record.results || record.contacts || record.items || record;
+  }
+  if (Array.isArray(record)) record = record[0];
+  if (!record || typeof record !== 'object') return null;
+
+  const text = (value) => typeof value === 'string' && value.trim() ? value.trim() : null;
+  const name = text(record.name) || text(record.fullName) || text(record.displayName) ||
+    text([record.firstName, record.lastName].filter(Boolean).join(' '));
+  if (!name) return null;
+
+  const company = text(record.company) || text(record.companyName) || text(record.organization) ||
+    text(record.account && typeof record.account === 'object' ? record.account.name : record.account);
+
+  return { name, company };
+}
+
+class AddressBookContactAdapter {
+  constructor() {
+    this.name = 'addressBook';
+  }
+
+  async lookup({ e164 }) {
+    const addressBook = new AddressBook();
+    await addressBook.load();
+    const contact = addressBook.findByNumber(e164);
+    return contact ? { name: contact.name, company: contact.company || null } : null;
+  }
+}
+
+// Reads the name and company printed next to the number: schema.org and
+// microformat markup first, then table columns, then class names and headings
+class PageContactAdapter {
+  constructor({ normalizer, highlighter }) {
+    this.name = 'page';
+    this.normalizer = normalizer;
+    this.highlighter = highlighter;
+  }
+
+  async lookup({ e164, element = null }) {
+    const elements = element ? [element] : this.findNumberElements(e164);
+    for (const candidate of elements) {
+      const contact = this.scrape(candidate);
+      if (contact) return contact;
+    }
+    return null;
+  }
+
+  // Highlights and tel: links on the page that show this number
+  findNumberElements(e164) {
+    const found = [];
+    [document, ...this.highlighter.shadowRoots].forEach(root => {
+      root.querySelectorAll(`.${HIGHLIGHT_CLASS}, a[href^="tel:"]`).forEach(element => {
+        const number = element.dataset.softphoneNumber || element.getAttribute('href') || '';
+        const normalized = this.normalizer.normalize(number.replace(/^tel:/i, ''));
+        if (normalized && normalized.e164 === e164) found.push(element);
+      });
+    });
+    return found;
+  }
+
+  scrape(element) {
+    const container = element.closest(CONTACT_CONTAINER_SELECTOR);
+    if (!container || container.textContent.length > CONTACT_CONTAINER_MAX_TEXT) return null;
+
+    const fromColumns = container.tagName === 'TR' ? this.scrapeTableRow(container) : null;
+    const name = (fromColumns && fromColumns.name) ||
+      this.findText(container, CONTACT_NAME_SELECTOR, element) ||
+      this.findText(container, CONTACT_HEADING_SELECTOR, element);
+    if (!name) return null;
+
+    const company = (fromColumns && fromColumns.company) ||
+      this.findText(container, CONTACT_COMPANY_SELECTOR, element);
+    return { name, company };
+  }
+
+  // Picks cells by their column headers ("Name", "Company", ...)
+  scrapeTableRow(row) {
+    const table = row.closest('table');
+    const headerRow = table && table.querySelector('thead tr, tr');
+    if (!headerRow || headerRow === row) return null;
+
+    const headers = [...headerRow.cells].map(cell => cell.textContent.trim().toLowerCase());
+    const cellText = (pattern) => {
+      const index = headers.findIndex(header => pattern.test(header));
+      return index >= 0 && row.cells[index] ? this.cleanText(row.cells[index].textContent) : null;
+    };
+
+    return {
+      name: cellText(/name|contact/),
+      company: cellText(/company|organi[sz]ation|account/)
+    };
+  }
+
+  findText(container, selector, numberElement) {
+    for (const candidate of container.querySelectorAll(selector)) {
+      if (candidate.contains(numberElement) || candidate.closest(`.${HIGHLIGHT_CLASS}`)) continue;
+      const text = this.cleanText(candidate.textContent);
+      if (text) return text;
+    }
+    return null;
+  }
+
+  // Short, lettered text that isn't itself a phone number
+  cleanText(text) {
+    const value = text.replace(/\s+/g, ' ').trim();
+    if (value.length < 2 || value.length > 80 || !/\p{L}/u.test(value)) return null;
+    if ((value.match(/\d/g) || []).length > 4) return null;
+    return value;
+  }
+}
+
+// Lookups run in the background worker, which holds the host permission and isn't bound by the page's CSP
+class RestContactAdapter {
+  constructor() {
+    this.name = 'rest';
+  }
+
+  async lookup({ e164 }) {
+    const response = await chrome.runtime.sendMessage({ action: 'lookupContact', number: e164 });
+    if (response && response.error) {
+      console.warn('⚠️ CRM lookup failed:', response.error);
+    }
+    return response ? response.contact || null : null;
+  }
+}
+
+class ContactResolver {
+  constructor(adapters) {
+    this.adapters = adapters;
+    this.settings = { ...DEFAULT_CONTACT_LOOKUP };
+    this.cache = new Map();
+  }
+
+  async load() {
+    try {
+      this.settings = await loadContactLookupSettings();
+    } catch (error) {
+      console.error('Error loading contact lookup settings:', error);
+    }
+    return this.settings;
+  }
+
+  // Keeps settings current and drops cached contacts when either settings or the
+  // address book change. Returns an unsubscribe function.
+  onChanged(callback = null) {
+    const listener = (changes, areaName) => {
+      if (areaName !== 'local' || !(changes[CONTACT_LOOKUP_KEY] || changes[ADDRESS_BOOK_KEY])) return;
+
+      this.cache.clear();
+      if (changes[CONTACT_LOOKUP_KEY]) {
+        this.settings = { ...DEFAULT_CONTACT_LOOKUP, ...changes[CONTACT_LOOKUP_KEY].newValue };
+      }
+      if (callback) callback(this.settings);
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  // call: a normalized number ({ e164, ... }); element: where it was found on
+  // the page, if anywhere. Resolves to { name, company, source } or null, and
+  // gives up after timeoutMs so a slow CRM never holds up a call.
+  async resolve(call, { element = null, timeoutMs = CONTACT_LOOKUP_TIMEOUT_MS } = {}) {
+    if (!call || !call.e164) return null;
+
+    const cached = this.cache.get(call.e164);
+    if (cached && cached.expiresAt > Date.now() && !element) return cached.contact;
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), timeoutMs);
+    });
+    const contact = await Promise.race([this.runAdapters({ e164: call.e164, element }), timeout]);
+    clearTimeout(timer);
+
+    // Page context can differ from one click to the next, so only cache the rest
+    if (contact && contact.source !== 'page') {
+      this.cache.set(call.e164, { contact, expiresAt: Date.now() + CONTACT_CACHE_TTL_MS });
+    }
+    return contact;
+  }
+
+  async runAdapters(query) {
+    for (const adapter of this.adapters) {
+      if (!this.settings[adapter.name]) continue;
+
+      try {
+        const contact = await adapter.lookup(query);
+        if (contact && contact.name) {
+          return { name: contact.name, company: contact.company || null, source: adapter.name };
+        }
+      } catch (error) {
+        console.warn(`⚠️ Contact lookup via ${adapter.name} failed:`, error);
+      }
+    }
+    return null;
+  }
+}
@@ -1,26 +1,110 @@
+// Messages a subframe acts on; everything else is answered by the top frame only
+const SUBFRAME_ACTIONS = ['toggleExtension', 'updateSettings', 'callSelection'];
+
 class SoftphoneManager {
   constructor() {
     this.isEnabled = true;
-    this.callHistory = [];
-    this.phoneRegex = /(?:\+91[\s\-]?)?[6-9]\d{9}/g;
     this.widget = null;
     this.isWidgetVisible = false; // Track visibility state
+    this.isSessionHost = false; // Only the host tab holds the softphone iframe
+    this.isTopFrame = window.top === window; // Subframes only detect numbers and dial through the host
+    this.softphoneProtocol = null;
+    this.frameBridge = null; // Set when we run inside the softphone iframe itself
+    this.connectionProfiles = new ConnectionProfiles();
+    this.connectionProfile = DEFAULT_CONNECTION_PROFILE;
+    this.siteRules = new SiteRules();
+    this.siteOverrides = {}; // Per-feature overrides from site rules matching this page
     this.settings = {
       autoDetect: true,
       showFloatingButton: true,
-      highlightNumbers: true
+      highlightNumbers: true,
+      defaultCountry: DEFAULT_COUNTRY,
+      historyRetentionDays: 30,
+      historyMaxEntries: 500,
+      muteRingtone: false,
+      showWrapUp: false,
+      dispositionCodes: [...WRAP_UP_DEFAULT_DISPOSITIONS],
+      keyBindings: { ...DEFAULT_KEY_BINDINGS }
     };
+    this.callHistoryStore = new CallHistoryStore({
+      retentionDays: this.settings.historyRetentionDays,
+      maxEntries: this.settings.historyMaxEntries
+    });
+    this.phoneDetector = new PhoneNumberDetector(this.settings.defaultCountry);
+    this.phoneNormalizer = new PhoneNormalizer(this.settings.defaultCountry);
+    this.numberHighlighter = new PhoneNumberHighlighter(this.phoneDetector);
+    this.contactResolver = new ContactResolver([
+      new AddressBookContactAdapter(),
+      new PageContactAdapter({ normalizer: this.phoneNormalizer, highlighter: this.numberHighlighter }),
+      new RestContactAdapter()
+    ]);
+    this.pageScanner = new PageScanner({
+      highlighter: this.numberHighlighter,
+      detector: this.phoneDetector,
+      shouldHighlight: () => this.isEnabled && this.isFeatureEnabled('highlightNumbers'),
+      onNodesAdded: () => this.debouncedIntercept()
+    });
+    this.fieldCallButton = new FieldCallButton({
+      detector: this.phoneDetector,
+      isEnabled: () => this.isEnabled && this.isFeatureEnabled('autoDetect'),
+      onCall: (number) => this.initiateCall(number)
+    });
+    this.incomingCall = null;
+    this.activeCall = null; // { callId, displayNumber, answeredAt } while a call is connected
+    this.callBar = null;
+    this.widgetLayout = new WidgetLayout();
+    this.widgetDrag = null;
+    this.buttonDrag = null;
+    this.focusTrap = null;
+    this.notificationRegion = null;
+    this.incomingCallToast = new IncomingCallToast({
+      onAnswer: (call) => this.answerIncomingCall(call),
+      onDecline: (call) => this.declineIncomingCall(call),
+      onVoicemail: (call) => this.sendIncomingCallToVoicemail(call),
+      onTimeout: (call) => this.closeIncomingCallEntry(call, 'missed'),
+      muted: this.settings.muteRingtone
+    });
+    this.wrapUpPanel = new WrapUpPanel({
+      onSave: (entry, wrapUp) => this.saveWrapUp(entry, wrapUp)
+    });
+    this.callbackSchedule = new CallbackSchedule();
+    this.campaignDialer = new CampaignDialer({
+      highlighter: this.numberHighlighter,
+      detector: this.phoneDetector,
+      normalizer: this.phoneNormalizer,
+      resolveContact: (item) => this.contactResolver.resolve(item),
+      claimHost: () => this.claimSessionHost(),
+      dial: (item, campaignId) => this.initiateCall(item.extension ? `${item.e164} ext. ${item.extension}` : item.e164, null, {
+        contact: item.contactName ? { name: item.contactName, company: item.company, source: 'campaign' } : undefined,
+        campaignId
+      }),
+      isBusy: () => Boolean(this.activeCall || this.incomingCall || this.wrapUpPanel.isVisible)
+    });
+    this.callbackPrompt = new CallbackPrompt({
+      onSchedule: (call, details) => this.scheduleCallback(call, details)
+    });
 
     // Optimization: Cache DOM elements and use throttling
     this.domCache = new Map();
     this.processedElements = new WeakSet();
-    this.throttledHighlight = this.throttle(this.highlightPhoneNumbers.bind(this), 100);
+    this.listenersAttached = false;
     this.debouncedIntercept = this.debounce(this.interceptNewTelLinks.bind(this), 50);
+    this.debouncedSelectionChange = this.debounce(this.handleSelectionChange.bind(this), 200);
+    this.debouncedResize = this.debounce(this.handleResize.bind(this), 150);
 
     // Optimization: Use event delegation instead of individual listeners
     this.boundHandleClick = this.handleClick.bind(this);
     this.boundHandleKeyboard = this.handleKeyboard.bind(this);
+    this.boundHandleMessage = this.handleMessage.bind(this);
 
+    // Listen before init so the popup can re-enable a disabled page
+    chrome.runtime.onMessage.addListener(this.boundHandleMessage);
+
+    // Settled once settings and site rules are loaded, so a ping can tell
+    // whether we are enabled on this page
+    this.configReady = new Promise(resolve => {
+      this.resolveConfigReady = resolve;
+    });
     this.init();
     this.outsideClickHandlerBound = null;
   }
@@ -55,23 +139,143 @@ class SoftphoneManager {
 
   async init() {
     try {
+      this.connectionProfile = await this.connectionProfiles.load();
+
+      // With all_frames we are also injected into softphone iframes. Only the
+      // active profile's origin may carry credentials, the same origin the host
+      // page's protocol and the background check against.
+      if (!this.isTopFrame && this.connectionProfiles.profiles.some(profile => profile.allowedOrigin === location.origin)) {
+        chrome.runtime.onMessage.removeListener(this.boundHandleMessage);
+        if (this.connectionProfile.allowedOrigin === location.origin) {
+          this.frameBridge = new SoftphoneFrameBridge();
+          this.frameBridge.attach();
+        }
+        return;
+      }
+
       await this.loadSettings();
+      await this.loadSiteRules();
+      this.stopWatchingSettings = this.watchSettings();
+      this.resolveConfigReady();
+
+      // Subframes, often ads and trackers, only detect numbers and hand calls to
+      // the host, so they skip the stores only the top frame uses
+      if (this.isTopFrame) {
+        await this.widgetLayout.load();
+        await this.callHistoryStore.load();
+        await this.contactResolver.load();
+        this.stopWatchingProfiles = this.connectionProfiles.onChanged(profile => this.handleProfileChange(profile));
+        this.stopWatchingContacts = this.contactResolver.onChanged();
+      }
 
       if (this.isEnabled) {
         this.createFloatingButton();
         this.setupEventListeners();
+        this.syncPageScanner();
 
-        // Initialize widget in background (hidden)
-        await this.initializeWidget();
+        // Initialize widget in background (hidden) if this tab hosts the session
+        this.isSessionHost = this.isTopFrame && await this.registerSessionTab();
+        if (this.isSessionHost) {
+          await this.initializeWidget();
+        }
 
         // Schedule highlighting
         this.scheduleHighlighting();
+
+        if (this.isTopFrame) {
+          await this.campaignDialer.restore();
+        }
       }
     } catch (error) {
       console.error('SoftphoneManager initialization error:', error);
+    } finally {
+      this.resolveConfigReady();
+    }
+  }
+
+  async registerSessionTab() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'registerSoftphoneTab' });
+      return !response || response.isHost;
+    } catch (error) {
+      // No background worker to coordinate with, run standalone
+      console.warn('⚠️ Softphone session coordinator unavailable:', error);
+      return true;
     }
   }
 
+  async becomeSessionHost() {
+    if (!this.isTopFrame) return;
+
+    this.isSessionHost = true;
+    if (this.isEnabled && !this.widget) {
+      await this.initializeWidget();
+    }
+  }
+
+  // Takes the session over from another tab, e.g. for a campaign whose call
+  // outcomes must come back here. Fails while the current host is busy.
+  async claimSessionHost() {
+    if (this.isSessionHost) return;
+
+    let response = null;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'claimSoftphoneHost' });
+    } catch (error) {
+      // No background worker to coordinate with, run standalone
+      console.warn('⚠️ Softphone session coordinator unavailable:', error);
+    }
+
+    if (response && !response.isHost) {
+      throw new Error(response.error || 'The softphone is busy in another tab');
+    }
+    await this.becomeSessionHost();
+  }
+
+  // Hands the session to another tab unless a call or campaign is in progress here
+  releaseSessionHost() {
+    if (this.activeCall || this.incomingCall) {
+      return { success: false, error: 'A call is in progress in another tab' };
+    }
+    if (this.campaignDialer.isRunning) {
+      return { success: false, error: 'A campaign is running in another tab' };
+    }
+
+    this.teardownWidget();
+    this.isSessionHost = false;
+    console.log('📱 Softphone session handed to another tab');
+    return { success: true };
+  }
+
+  async startCampaign() {
+    await this.claimSessionHost();
+    const count = await this.campaignDialer.start();
+    this.showNotification(`📋 Campaign started with ${count} number${count === 1 ? '' : 's'}`, 'success');
+    return count;
+  }
+
+  // Resolves to true when the host tab handled the request. When there is no
+  // reachable host this tab takes over the session and resolves to false.
+  async forwardToSessionHost(message) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (response && response.forwarded) {
+        return true;
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not reach softphone session coordinator:', error);
+    }
+
+    // A subframe can't host the widget; the background already asked our top frame
+    if (!this.isTopFrame) {
+      this.showNotification('The softphone is not available right now', 'error');
+      return true;
+    }
+
+    await this.becomeSessionHost();
+    return false;
+  }
+
   // NEW METHOD: Initialize widget in background
   async initializeWidget() {
     try {
@@ -80,12 +284,8 @@ class SoftphoneManager {
       const widgetContainer = document.createElement('div');
       widgetContainer.id = 'softphone-widget-container';
       widgetContainer.className = 'softphone-widget-container';
-
-      // Position the widget but keep it hidden
-      const position = this.calculateWidgetPosition();
-      Object.keys(position).forEach(key => {
-        widgetContainer.style[key] = position[key];
-      });
+      widgetContainer.setAttribute('role', 'dialog');
+      widgetContainer.setAttribute('aria-labelledby', 'softphone-widget-title');
 
       // Initially hidden
       widgetContainer.style.display = 'none';
@@ -93,35 +293,51 @@ class SoftphoneManager {
       const iframe = document.createElement('iframe');
       iframe.id = 'softphone-widget';
       iframe.className = 'softphone-frame';
-      iframe.src = 'https://founderscartin.s3.ap-south-1.amazonaws.com/app/ivrsolutions/webrtc/chrome-ext/index.html';  // Your hosted link
+      iframe.src = this.connectionProfile.widgetUrl;
       iframe.allow = 'microphone';
-      iframe.title = 'Softphone Widget';
+      iframe.title = `${this.connectionProfile.name} Softphone`;
 
-      // Handle iframe load - auto-login if credentials exist
+      this.softphoneProtocol = new SoftphoneProtocol({
+        targetOrigin: this.connectionProfile.allowedOrigin,
+        getTargetWindow: () => iframe.contentWindow,
+        onMessage: (message) => this.handleSoftphoneMessage(message)
+      });
+      this.softphoneProtocol.attach();
+
+      // Handle iframe load - auto-login if the session has credentials
       iframe.onload = () => {
         console.log('📱 Softphone widget loaded successfully');
-
-        chrome.storage.local.get(["softphoneCredentials"], (result) => {
-          if (result.softphoneCredentials) {
-            console.log('🔐 Auto-logging in with stored credentials');
-            iframe.contentWindow.postMessage({
-              type: "SOFTPHONE_AUTOLOGIN",
-              credentials: result.softphoneCredentials
-            }, "https://founderscartin.s3.ap-south-1.amazonaws.com");
-          }
-        });
+        this.softphoneProtocol.setReady();
+        this.postToSoftphone('SOFTPHONE_CONFIG', {
+          profileId: this.connectionProfile.id,
+          displayName: this.connectionProfile.name,
+          sipDomain: this.connectionProfile.sipDomain
+        }).catch(error => console.warn('⚠️ Could not configure softphone:', error.message));
+        this.sendCredentialToken('SOFTPHONE_AUTOLOGIN');
       };
 
-      const header = document.createElement('div');
-      header.className = 'softphone-header';
-      this.makeDraggable(widgetContainer, header);
+      const header = this.createWidgetHeader();
+      this.widgetDrag = new DragController({
+        element: widgetContainer,
+        handle: header,
+        onStart: (point) => this.handleWidgetDragStart(point),
+        onEnd: () => this.handleWidgetDragEnd()
+      });
+
+      const resizeHandle = document.createElement('div');
+      resizeHandle.className = 'softphone-resize-handle';
+      this.makeResizable(widgetContainer, resizeHandle);
 
       widgetContainer.appendChild(header);
       widgetContainer.appendChild(iframe);
+      widgetContainer.appendChild(resizeHandle);
+
+      this.focusTrap = new FocusTrap(widgetContainer);
 
       document.body.appendChild(widgetContainer);
       this.widget = widgetContainer;
       this.domCache.set('widget', widgetContainer);
+      this.applyWidgetLayout();
 
       console.log('✅ Softphone widget initialized and ready');
     } catch (error) {
@@ -129,6 +345,294 @@ class SoftphoneManager {
     }
   }
 
+  teardownWidget() {
+    this.hideWidget();
+    this.activeCall = null;
+    this.updateCallBar();
+
+    if (this.softphoneProtocol) {
+      this.softphoneProtocol.detach();
+      this.softphoneProtocol = null;
+    }
+
+    if (this.widgetDrag) {
+      this.widgetDrag.destroy();
+      this.widgetDrag = null;
+    }
+    this.focusTrap = null;
+
+    if (this.widget) {
+      this.widget.remove();
+      this.widget = null;
+      this.domCache.delete('widget');
+    }
+  }
+
+  createWidgetHeader() {
+    const header = document.createElement('div');
+    header.className = 'softphone-header';
+    // Focusable so the arrow keys can move the widget
+    header.tabIndex = 0;
+    header.title = 'Drag or use the arrow keys to move';
+
+    const title = document.createElement('span');
+    title.className = 'softphone-title';
+    title.id = 'softphone-widget-title';
+    title.textContent = this.connectionProfile.name;
+
+    const controls = document.createElement('div');
+    controls.className = 'softphone-controls';
+
+    const dockButton = document.createElement('button');
+    dockButton.type = 'button';
+    dockButton.className = 'softphone-dock-button';
+    dockButton.addEventListener('click', () => this.toggleDock());
+
+    const minimizeButton = document.createElement('button');
+    minimizeButton.type = 'button';
+    minimizeButton.textContent = '–';
+    minimizeButton.title = 'Minimize';
+    minimizeButton.setAttribute('aria-label', 'Minimize softphone');
+    minimizeButton.addEventListener('click', () => this.hideWidget());
+
+    controls.appendChild(dockButton);
+    controls.appendChild(minimizeButton);
+    header.appendChild(title);
+    header.appendChild(controls);
+    return header;
+  }
+
+  // Positions the widget from the layout saved for this site
+  applyWidgetLayout() {
+    if (!this.widget) return;
+
+    const layout = this.widgetLayout;
+    const style = layout.widgetStyle(this.calculateWidgetPosition());
+    Object.keys(style).forEach(key => {
+      this.widget.style[key] = style[key];
+    });
+
+    this.widget.classList.toggle('docked', layout.isDocked);
+    this.widget.classList.toggle('docked-left', layout.layout.mode === 'dock-left');
+    this.widget.classList.toggle('docked-right', layout.layout.mode === 'dock-right');
+
+    const dockButton = this.widget.querySelector('.softphone-dock-button');
+    if (dockButton) {
+      dockButton.textContent = layout.isDocked ? '⧉' : '⇥';
+      dockButton.title = layout.isDocked ? 'Undock' : 'Dock to the side';
+      dockButton.setAttribute('aria-label', dockButton.title);
+    }
+
+    if (layout.isDocked && this.isWidgetVisible) {
+      layout.shrinkPage();
+    } else {
+      layout.restorePage();
+    }
+  }
+
+  toggleDock() {
+    this.widgetLayout.update({ mode: this.widgetLayout.isDocked ? 'floating' : 'dock-right' });
+    this.applyWidgetLayout();
+  }
+
+  // Dragging a docked widget by its header pulls it out as a floating window under the pointer
+  handleWidgetDragStart(point) {
+    if (!this.widgetLayout.isDocked) return;
+
+    const { width } = this.widgetLayout.fittedSize();
+    this.widgetLayout.layout.mode = 'floating';
+    this.widgetLayout.layout.widget = { left: point.clientX - width / 2, top: point.clientY - 20 };
+    this.applyWidgetLayout();
+  }
+
+  handleWidgetDragEnd() {
+    const rect = this.widget.getBoundingClientRect();
+    const dock = this.widgetLayout.snapTarget(rect);
+
+    this.widgetLayout.update(dock
+      ? { mode: dock }
+      : { mode: 'floating', widget: { left: rect.left, top: rect.top } });
+    this.applyWidgetLayout();
+  }
+
+  // Corner handle when floating, inner edge when docked
+  makeResizable(container, handle) {
+    handle.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      handle.setPointerCapture(e.pointerId);
+
+      const layout = this.widgetLayout.layout;
+      const startX = e.clientX;
+      const startY = e.clientY;
+      const startRect = container.getBoundingClientRect();
+      container.classList.add('resizing');
+
+      const handleMove = (moveEvent) => {
+        const dx = moveEvent.clientX - startX;
+        const dy = moveEvent.clientY - startY;
+
+        if (layout.mode === 'dock-left') {
+          layout.dockWidth = Math.max(WIDGET_MIN_SIZE.width, startRect.width + dx);
+        } else if (layout.mode === 'dock-right') {
+          layout.dockWidth = Math.max(WIDGET_MIN_SIZE.width, startRect.width - dx);
+        } else {
+          layout.width = Math.max(WIDGET_MIN_SIZE.width, startRect.width + dx);
+          layout.height = Math.max(WIDGET_MIN_SIZE.height, startRect.height + dy);
+          layout.widget = { left: startRect.left, top: startRect.top };
+        }
+        this.applyWidgetLayout();
+      };
+
+      const handleEnd = () => {
+        handle.removeEventListener('pointermove', handleMove);
+        handle.removeEventListener('pointerup', handleEnd);
+        handle.removeEventListener('pointercancel', handleEnd);
+        container.classList.remove('resizing');
+        this.widgetLayout.save();
+      };
+
+      handle.addEventListener('pointermove', handleMove);
+      handle.addEventListener('pointerup', handleEnd);
+      handle.addEventListener('pointercancel', handleEnd);
+    });
+  }
+
+  handleResize() {
+    if (this.isWidgetVisible) {
+      this.applyWidgetLayout();
+    }
+  }
+
+  // Shown while a call is connected but the widget is hidden, so the call stays in reach
+  updateCallBar() {
+    const shouldShow = this.isSessionHost && this.activeCall && !this.isWidgetVisible;
+
+    if (!shouldShow) {
+      if (this.callBar) {
+        clearInterval(this.callBarTimer);
+        this.callBar.remove();
+        this.callBar = null;
+      }
+      return;
+    }
+
+    if (this.callBar) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'softphone-call-bar';
+    bar.setAttribute('role', 'region');
+    bar.setAttribute('aria-label', 'Active call');
+
+    const status = document.createElement('span');
+    status.className = 'softphone-call-bar-status';
+
+    const renderStatus = () => {
+      const elapsed = Math.floor((Date.now() - this.activeCall.answeredAt) / 1000);
+      const time = `${Math.floor(elapsed / 60)}:${String(elapsed % 60).padStart(2, '0')}`;
+      status.textContent = `📞 ${this.activeCall.displayNumber || 'On call'} · ${time}`;
+    };
+    renderStatus();
+
+    const addButton = (label, className, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `softphone-call-bar-button ${className}`;
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      bar.appendChild(button);
+    };
+
+    bar.appendChild(status);
+    addButton('Open', 'open', () => this.showWidget());
+    addButton('Mute', 'mute', () => this.runSoftphoneCommand('toggle-mute'));
+    addButton('Hang up', 'hang-up', () => this.runSoftphoneCommand('hang-up'));
+
+    document.body.appendChild(bar);
+    this.callBar = bar;
+    this.callBarTimer = setInterval(() => {
+      if (this.activeCall) renderStatus();
+    }, 1000);
+  }
+
+  // Point the widget at a different backend when the active profile changes
+  async handleProfileChange(profile) {
+    const previous = this.connectionProfile;
+    this.connectionProfile = profile;
+
+    const unchanged = previous.id === profile.id &&
+      previous.widgetUrl === profile.widgetUrl &&
+      previous.allowedOrigin === profile.allowedOrigin &&
+      previous.sipDomain === profile.sipDomain;
+    if (unchanged || !this.isSessionHost || !this.widget) return;
+
+    console.log('🔀 Switching softphone profile to', profile.name);
+    const wasVisible = this.isWidgetVisible;
+    this.teardownWidget();
+    await this.initializeWidget();
+    if (wasVisible) {
+      this.showWidget();
+    }
+  }
+
+  // Runs before anything is added to the page so a blocked site is left untouched
+  async loadSiteRules() {
+    try {
+      await this.siteRules.load();
+    } catch (error) {
+      console.error('Error loading site rules:', error);
+    }
+
+    this.siteOverrides = this.siteRules.resolve(location.hostname);
+    if (this.siteOverrides.enabled === false) {
+      this.isEnabled = false;
+      console.log('🚫 Softphone disabled on this site by a site rule');
+    }
+
+    this.stopWatchingSiteRules = this.siteRules.onChanged(() => this.applySiteRules());
+  }
+
+  applySiteRules() {
+    const wasAllowed = this.siteOverrides.enabled !== false;
+    this.siteOverrides = this.siteRules.resolve(location.hostname);
+    const isAllowed = this.siteOverrides.enabled !== false;
+
+    if (wasAllowed !== isAllowed && this.isEnabled !== isAllowed) {
+      this.toggleExtension();
+    } else if (this.isEnabled) {
+      this.refreshPageFeatures();
+    }
+  }
+
+  // Site rules take precedence over the global settings
+  isFeatureEnabled(feature) {
+    return this.siteOverrides[feature] ?? Boolean(this.settings[feature]);
+  }
+
+  // Add or remove the floating button and highlights to match settings and site rules
+  refreshPageFeatures() {
+    if (this.isFeatureEnabled('showFloatingButton')) {
+      this.createFloatingButton();
+    } else {
+      this.removeFloatingButton();
+    }
+
+    this.syncPageScanner();
+    if (this.isFeatureEnabled('highlightNumbers')) {
+      this.scheduleHighlighting();
+    } else {
+      this.removeHighlights();
+    }
+  }
+
+  // The scanner only watches the page while numbers are being highlighted
+  syncPageScanner() {
+    if (this.isEnabled && this.isFeatureEnabled('highlightNumbers')) {
+      this.pageScanner.start(document.body);
+    } else {
+      this.pageScanner.stop();
+    }
+  }
+
   // ... keep all existing methods unchanged until createFloatingButton
   scheduleHighlighting() {
     if (window.requestIdleCallback) {
@@ -146,11 +650,35 @@ class SoftphoneManager {
       if (result.softphoneSettings) {
         this.settings = { ...this.settings, ...result.softphoneSettings };
       }
+      this.phoneDetector.setCountry(this.settings.defaultCountry);
+      this.phoneNormalizer.setCountry(this.settings.defaultCountry);
+      this.callHistoryStore.configure({
+        retentionDays: this.settings.historyRetentionDays,
+        maxEntries: this.settings.historyMaxEntries
+      });
+      this.incomingCallToast.setMuted(this.settings.muteRingtone);
     } catch (error) {
       console.error('Error loading settings:', error);
     }
   }
 
+  // Settings saved by the popup or another tab apply here without a reload
+  watchSettings() {
+    const listener = (changes, areaName) => {
+      const stored = areaName === 'sync' && changes.softphoneSettings && changes.softphoneSettings.newValue;
+      if (!stored) return;
+
+      // Our own saves come back too and change nothing
+      const changed = Object.keys(stored).filter(key => JSON.stringify(stored[key]) !== JSON.stringify(this.settings[key]));
+      if (changed.length) {
+        this.applySettings(Object.fromEntries(changed.map(key => [key, stored[key]])));
+      }
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
   async saveSettings() {
     try {
       await chrome.storage.sync.set({ softphoneSettings: this.settings });
@@ -160,7 +688,7 @@ class SoftphoneManager {
   }
 
   createFloatingButton() {
-    if (!this.settings.showFloatingButton || this.domCache.get('floatingButton')) {
+    if (!this.isTopFrame || !this.isFeatureEnabled('showFloatingButton') || this.domCache.get('floatingButton')) {
       return;
     }
 
@@ -172,20 +700,77 @@ class SoftphoneManager {
       <path d="M20.01 15.38c-1.23 0-2.42-.2-3.53-.56-.35-.12-.74-.03-1.01.24l-1.57 1.97c-2.83-1.35-5.48-3.9-6.89-6.83l1.95-1.66c.27-.28.35-.67.24-1.02-.37-1.11-.56-2.3-.56-3.53 0-.54-.45-.99-.99-.99H4.19C3.65 3 3 3.24 3 3.99 3 13.28 10.73 21 20.01 21c.71 0 .99-.63.99-1.18v-3.45c0-.54-.45-.99-.99-.99z"/>
     </svg>
   `;
-    button.title = 'Toggle Softphone';
+    button.title = 'Toggle Softphone (drag or use the arrow keys to move)';
+    button.setAttribute('aria-label', 'Toggle softphone');
+    button.setAttribute('aria-haspopup', 'dialog');
 
     // MODIFIED: Just toggle visibility instead of creating widget
     button.addEventListener('click', () => {
       this.toggleWidget();
     });
 
+    const saved = this.widgetLayout.layout.button;
+    if (saved) {
+      const position = this.widgetLayout.clampPosition(saved, { width: 50, height: 50 });
+      button.style.left = `${position.left}px`;
+      button.style.top = `${position.top}px`;
+      button.style.right = 'auto';
+      button.style.bottom = 'auto';
+    }
+
     document.body.appendChild(button);
     this.domCache.set('floatingButton', button);
-    this.makeButtonDraggable(button);
+    this.updateFloatingButtonState();
+    this.buttonDrag = new DragController({
+      element: button,
+      onEnd: () => this.handleButtonDragEnd()
+    });
+  }
+
+  handleButtonDragEnd() {
+    const button = this.domCache.get('floatingButton');
+    const rect = button.getBoundingClientRect();
+    this.widgetLayout.update({ button: { left: rect.left, top: rect.top } });
+
+    if (this.widget && this.isWidgetVisible) {
+      this.applyWidgetLayout();
+    }
+  }
+
+  // aria-expanded only means something in the tab that holds the widget
+  updateFloatingButtonState() {
+    const floatingBtn = this.domCache.get('floatingButton');
+    if (!floatingBtn) return;
+
+    if (this.widget) {
+      floatingBtn.setAttribute('aria-controls', this.widget.id);
+      floatingBtn.setAttribute('aria-expanded', String(this.isWidgetVisible));
+    } else {
+      floatingBtn.removeAttribute('aria-controls');
+      floatingBtn.removeAttribute('aria-expanded');
+    }
+  }
+
+  removeFloatingButton() {
+    if (this.buttonDrag) {
+      this.buttonDrag.destroy();
+      this.buttonDrag = null;
+    }
+
+    const floatingBtn = this.domCache.get('floatingButton');
+    if (floatingBtn) {
+      floatingBtn.remove();
+      this.domCache.delete('floatingButton');
+    }
   }
 
   // NEW METHOD: Toggle widget visibility
   toggleWidget() {
+    if (!this.isSessionHost) {
+      this.showWidget();
+      return;
+    }
+
     if (this.widget) {
       if (this.isWidgetVisible) {
         this.hideWidget();
@@ -195,20 +780,27 @@ class SoftphoneManager {
     }
   }
 
-  // Show widget
-  showWidget(phoneNumber = '') {
-    if (!this.widget) {
-      console.error('Widget not initialized');
+  // Show widget, optionally dialing a normalized call ({ e164, extension, display, contact, source }).
+  // With a call, resolves to whether the softphone accepted it.
+  showWidget(call = null) {
+    if (!this.isSessionHost) {
+      this.forwardToSessionHost({ action: 'showSoftphone' }).then(forwarded => {
+        if (!forwarded) this.showWidget(call);
+      });
       return;
     }
 
-    const position = this.calculateWidgetPosition();
-    Object.keys(position).forEach(key => {
-      this.widget.style[key] = position[key];
-    });
+    if (!this.widget) {
+      console.error('Widget not initialized');
+      return Promise.resolve(false);
+    }
 
     this.widget.style.display = 'block';
     this.isWidgetVisible = true;
+    this.applyWidgetLayout();
+    this.updateCallBar();
+    this.updateFloatingButtonState();
+    this.focusTrap.activate(this.widget.querySelector('iframe'));
 
     if (!this.outsideClickHandlerBound) {
       this.outsideClickHandlerBound = this.handleOutsideClick.bind(this);
@@ -217,44 +809,47 @@ class SoftphoneManager {
       }, 0);
     }
 
-    const iframe = this.widget.querySelector('iframe');
-
-    if (phoneNumber && iframe) {
-      // Always attach onload before sending
-      iframe.onload = () => {
-        console.log('✅ iframe loaded. Sending call...');
-        iframe.contentWindow.postMessage(
-          { type: 'SOFTPHONE_CALL', number: phoneNumber },
-          'https://founderscartin.s3.ap-south-1.amazonaws.com'
-        );
-      };
-
-      // In case iframe is already loaded (some browsers cache)
-      setTimeout(() => {
-        try {
-          iframe.contentWindow.postMessage(
-            { type: 'SOFTPHONE_CALL', number: phoneNumber },
-            'https://founderscartin.s3.ap-south-1.amazonaws.com'
-          );
-          console.log('📨 Sent call message to iframe:', phoneNumber);
-        } catch (e) {
-          console.warn('⚠️ Could not send message, iframe not ready');
-        }
-      }, 1000);
+    let placed = null;
+    if (call) {
+      // Queued until the iframe has loaded, then retried until it acknowledges
+      placed = this.postToSoftphone('SOFTPHONE_CALL', {
+        number: call.e164,
+        extension: call.extension,
+        displayNumber: call.display,
+        sourceUrl: call.source ? call.source.url : null,
+        sourceTitle: call.source ? call.source.title : null,
+        contactName: call.contact ? call.contact.name : null,
+        company: call.contact ? call.contact.company : null
+      }, { expectAck: true })
+        .then(() => {
+          console.log('📨 Softphone accepted call to', call.e164);
+          return true;
+        })
+        .catch(error => {
+          console.warn('⚠️ Call request not acknowledged:', error.message);
+          this.showNotification('The softphone did not respond. Please try again.', 'error');
+          return false;
+        });
 
-      this.showNotification(`📞 Calling ${phoneNumber}...`, 'success');
+      this.showNotification(`📞 Calling ${call.contact ? call.contact.name : call.display}...`, 'success');
     }
 
     console.log('👁️ Softphone widget shown');
+    return placed;
   }
 
 
   // NEW METHOD: Hide widget
   hideWidget() {
     if (this.widget) {
+      // Before hiding, while it can still tell whether focus was inside
+      this.focusTrap.deactivate();
       this.widget.style.display = 'none';
       this.isWidgetVisible = false;
+      this.widgetLayout.restorePage();
     }
+    this.updateCallBar();
+    this.updateFloatingButtonState();
 
     if (this.outsideClickHandlerBound) {
       document.removeEventListener('click', this.outsideClickHandlerBound);
@@ -272,8 +867,13 @@ class SoftphoneManager {
   // ... keep all existing methods until openWidget
 
   // MODIFIED: openWidget now just shows the existing widget
-  openWidget(phoneNumber = '') {
-    this.showWidget(phoneNumber);
+  // contact is what the forwarding tab already resolved, if it did
+  openWidget(phoneNumber = '', source = null, contact = undefined) {
+    if (phoneNumber) {
+      this.initiateCall(phoneNumber, source, { contact });
+    } else {
+      this.showWidget();
+    }
   }
 
   // MODIFIED: closeWidget now just hides the widget
@@ -286,7 +886,8 @@ class SoftphoneManager {
     const widget = this.widget;
     const button = this.domCache.get('floatingButton');
 
-    if (!widget || !this.isWidgetVisible) return;
+    // A docked sidebar stays open while the user works in the page
+    if (!widget || !this.isWidgetVisible || this.widgetLayout.isDocked) return;
 
     const isClickInsideWidget = widget.contains(event.target);
     const isClickOnButton = button && button.contains(event.target);
@@ -297,57 +898,63 @@ class SoftphoneManager {
   }
 
   // MODIFIED: initiateCall now shows widget if hidden
-  initiateCall(phoneNumber) {
-    if (!phoneNumber) return;
-
-    const cleanNumber = this.cleanPhoneNumber(phoneNumber);
-    if (!this.isValidPhoneNumber(cleanNumber)) {
+  // source: { url, title } of the page the call was started from; element: where
+  // the number was clicked, for the page contact lookup; contact: an already
+  // resolved contact (or null for nobody found) from a forwarding tab.
+  // Resolves to false when the call could not be placed.
+  async initiateCall(phoneNumber, source = null, { element = null, contact = undefined, campaignId = null } = {}) {
+    if (!phoneNumber) return false;
+
+    const call = this.phoneNormalizer.normalize(phoneNumber);
+    if (!call) {
       this.showNotification('Invalid phone number format', 'error');
-      return;
+      return false;
+    }
+
+    // Dial through the tab that owns the softphone session
+    const callSource = source || { url: location.href, title: document.title };
+
+    // Looked up here, in the tab whose page the number came from; a subframe
+    // leaves it to the host, which has the lookup settings loaded
+    const callContact = contact !== undefined || !this.isTopFrame
+      ? contact
+      : await this.contactResolver.resolve(call, { element });
+
+    if (!this.isSessionHost) {
+      const forwarded = await this.forwardToSessionHost({
+        action: 'dial',
+        number: phoneNumber,
+        source: callSource,
+        contact: callContact
+      });
+      return forwarded || this.initiateCall(phoneNumber, callSource, { contact: callContact, campaignId });
     }
 
-    this.addToCallHistory(cleanNumber);
-    this.showWidget(cleanNumber);
+    const recorded = this.addToCallHistory(call, callSource, callContact, campaignId);
+    const placed = await this.showWidget({ ...call, contact: callContact, source: callSource });
+
+    // A campaign offers the number again; left open, this entry could be taken
+    // for the retry's, or for any later call to the same number
+    if (!placed) {
+      const entry = await recorded;
+      await this.callHistoryStore.update(entry.id, {
+        outcome: 'failed',
+        endedAt: new Date().toISOString(),
+        duration: 0
+      });
+    }
+    return placed;
   }
 
   // ... keep all other existing methods unchanged
   setupEventListeners() {
     document.addEventListener('click', this.boundHandleClick, true);
     document.addEventListener('keydown', this.boundHandleKeyboard);
+    this.fieldCallButton.attach();
+    document.addEventListener('selectionchange', this.debouncedSelectionChange);
+    window.addEventListener('resize', this.debouncedResize);
     this.interceptAllTelLinks();
-    this.setupMutationObserver();
-  }
-
-  setupMutationObserver() {
-    const observer = new MutationObserver((mutations) => {
-      let hasNewNodes = false;
-
-      for (const mutation of mutations) {
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              hasNewNodes = true;
-              break;
-            }
-          }
-        }
-        if (hasNewNodes) break;
-      }
-
-      if (hasNewNodes) {
-        this.debouncedIntercept();
-        this.throttledHighlight();
-      }
-    });
-
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-      attributes: false,
-      characterData: false
-    });
-
-    this.mutationObserver = observer;
+    this.listenersAttached = true;
   }
 
   interceptAllTelLinks() {
@@ -360,11 +967,12 @@ class SoftphoneManager {
       this.processedElements.add(link);
 
       link.addEventListener('click', (e) => {
+        if (!this.isEnabled) return;
         e.preventDefault();
         e.stopPropagation();
         const phoneNumber = link.getAttribute('href').replace(/^tel:/i, '').trim();
         if (this.isValidPhoneNumber(phoneNumber)) {
-          this.initiateCall(phoneNumber);
+          this.initiateCall(phoneNumber, null, { element: link });
         } else {
           this.showNotification('Invalid phone number', 'error');
         }
@@ -377,9 +985,10 @@ class SoftphoneManager {
   }
 
   handleClick(e) {
-    const target = e.target;
+    // The real target, even inside an open shadow root
+    const [target] = e.composedPath();
 
-    if (!target || target.closest('.softphone-widget-container')) {
+    if (!this.isEnabled || !target || !target.closest || target.closest('.softphone-widget-container')) {
       return;
     }
 
@@ -388,52 +997,217 @@ class SoftphoneManager {
       e.stopPropagation();
       const phoneNumber = target.getAttribute('href').replace(/^tel:/i, '').trim();
       if (this.isValidPhoneNumber(phoneNumber)) {
-        this.initiateCall(phoneNumber);
+        this.initiateCall(phoneNumber, null, { element: target });
       }
       return;
     }
 
-    if (target.classList && target.classList.contains('softphone-highlighted-number')) {
+    const highlight = target.closest(`.${HIGHLIGHT_CLASS}`);
+    if (highlight) {
       e.preventDefault();
       e.stopPropagation();
-      const phoneNumber = target.textContent.trim();
-      if (this.isValidPhoneNumber(phoneNumber)) {
-        this.initiateCall(phoneNumber);
+      if (e.shiftKey) {
+        this.promptCallback(highlight);
+      } else {
+        this.callHighlight(highlight);
       }
       return;
     }
 
-    if (!this.settings.autoDetect || !target.textContent) {
+    if (!this.isFeatureEnabled('autoDetect') || !target.textContent) {
       return;
     }
 
     const text = target.textContent.trim();
     if (text.length > 50) return;
 
-    const matches = text.match(this.phoneRegex);
-    if (matches && matches.length === 1 && this.isValidPhoneNumber(matches[0])) {
+    const matches = this.phoneDetector.findAll(text);
+    if (matches.length === 1 && this.isValidPhoneNumber(matches[0].number)) {
       e.preventDefault();
       e.stopPropagation();
-      this.initiateCall(matches[0]);
+      this.initiateCall(matches[0].number, null, { element: target });
+    }
+  }
+
+  callHighlight(highlight) {
+    const phoneNumber = highlight.dataset.softphoneNumber || highlight.textContent.trim();
+    if (this.isValidPhoneNumber(phoneNumber)) {
+      this.initiateCall(phoneNumber, null, { element: highlight });
     }
   }
 
+  async promptCallback(highlight) {
+    const call = this.phoneNormalizer.normalize(highlight.dataset.softphoneNumber || highlight.textContent.trim());
+    if (!call) {
+      this.showNotification('Invalid phone number format', 'error');
+      return;
+    }
+
+    const contact = await this.contactResolver.resolve(call, { element: highlight });
+    this.callbackPrompt.show({ ...call, contact });
+  }
+
+  // call: a normalized number with its contact; the callback links back to this page
+  async scheduleCallback(call, { dueAt, note }) {
+    try {
+      await this.callbackSchedule.schedule({
+        number: call.e164,
+        extension: call.extension,
+        displayNumber: call.display,
+        contactName: call.contact ? call.contact.name : null,
+        company: call.contact ? call.contact.company : null,
+        dueAt,
+        note,
+        pageUrl: location.href,
+        pageTitle: document.title
+      });
+      this.showNotification(`⏰ Callback scheduled for ${new Date(dueAt).toLocaleString()}`, 'success');
+    } catch (error) {
+      console.error('Error scheduling callback:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  // In-page bindings from settings.keyBindings; the browser-wide ones arrive from
+  // the background as runSoftphoneCommand
   handleKeyboard(e) {
-    if (e.ctrlKey && e.shiftKey && e.key === 'P') {
+    if (!this.isEnabled) return;
+
+    // Highlights are role="button", so Enter and Space activate them like a click
+    // and Shift+Enter schedules a callback like Shift+click
+    const [origin] = e.composedPath();
+    if ((e.key === 'Enter' || e.key === ' ') && origin && origin.classList &&
+      origin.classList.contains(HIGHLIGHT_CLASS)) {
       e.preventDefault();
-      this.showWidget();
+      if (e.key === 'Enter' && e.shiftKey) {
+        this.promptCallback(origin);
+      } else {
+        this.callHighlight(origin);
+      }
+      return;
     }
 
-    if (e.key === 'Escape' && this.isWidgetVisible) {
-      this.hideWidget();
+    const combo = keyComboFromEvent(e);
+    if (!combo) return;
+
+    const bindings = this.settings.keyBindings || {};
+    const command = Object.keys(bindings).find(name => normalizeKeyCombo(bindings[name]) === combo);
+    if (!command) return;
+
+    const [target] = e.composedPath();
+    const isTyping = target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    if (isTyping && isPlainKeyCombo(combo)) return;
+
+    if (command === 'close-softphone' && !this.isWidgetVisible) return;
+
+    e.preventDefault();
+    this.runSoftphoneCommand(command);
+  }
+
+  // Only the host tab can act on the softphone, so other tabs go through the background
+  runSoftphoneCommand(command) {
+    if (!this.isSessionHost && command !== 'close-softphone') {
+      chrome.runtime.sendMessage({ action: 'softphoneCommand', command })
+        .catch(error => console.warn('⚠️ Could not reach softphone session coordinator:', error));
+      return;
+    }
+
+    switch (command) {
+      case 'toggle-softphone':
+        this.toggleWidget();
+        break;
+      case 'close-softphone':
+        this.hideWidget();
+        break;
+      case 'answer-call':
+        if (this.incomingCall) {
+          this.incomingCallToast.dismiss();
+          this.answerIncomingCall(this.incomingCall);
+        } else {
+          this.showNotification('No incoming call to answer', 'info');
+        }
+        break;
+      case 'hang-up':
+        if (this.incomingCall) {
+          this.incomingCallToast.dismiss();
+          this.declineIncomingCall(this.incomingCall);
+        } else {
+          this.postToSoftphone('SOFTPHONE_HANGUP', { callId: this.activeCall ? this.activeCall.callId : null })
+            .catch(error => console.warn('⚠️ Could not reach softphone:', error.message));
+        }
+        break;
+      case 'toggle-mute':
+        this.postToSoftphone('SOFTPHONE_TOGGLE_MUTE')
+          .catch(error => console.warn('⚠️ Could not reach softphone:', error.message));
+        break;
+      case 'redial-last':
+        this.redialLastNumber();
+        break;
     }
   }
 
+  async redialLastNumber() {
+    await this.callHistoryStore.load();
+    const [last] = this.callHistoryStore.query({ direction: 'outbound' });
+    if (!last) {
+      this.showNotification('No number to redial', 'info');
+      return;
+    }
+
+    this.initiateCall(last.extension ? `${last.number} ext. ${last.extension}` : last.number);
+  }
+
+  // Text selected in a form field isn't part of the document selection
+  getSelectedText() {
+    const field = document.activeElement;
+    if (field && field.matches && field.matches(CALLABLE_FIELD_SELECTOR)) {
+      return field.value.substring(field.selectionStart, field.selectionEnd);
+    }
+    return window.getSelection().toString();
+  }
+
+  // Selections may hold numbers the detector misses or that span several
+  // elements, so fall back to the selection itself when it looks like a number
+  numberFromSelection(text) {
+    const selection = (text || '').replace(/\s+/g, ' ').trim();
+    if (!selection || selection.length > 100) return null;
+
+    const [match] = this.phoneDetector.findAll(selection);
+    const candidate = match ? match.number : selection.replace(/^[^\d+]+|\D+$/g, '');
+    if (/[a-z]/i.test(splitPhoneExtension(candidate).base)) return null;
+
+    return this.phoneNormalizer.normalize(candidate) ? candidate : null;
+  }
+
+  // From the context menu (with the selected text) or the keyboard command
+  callSelection(text = null) {
+    if (!this.isEnabled) return;
+
+    const number = this.numberFromSelection(text ?? this.getSelectedText());
+    if (!number) {
+      this.showNotification('No phone number in the selection', 'error');
+      return;
+    }
+
+    this.initiateCall(number);
+  }
+
+  // Keeps the context menu title showing the number that would be dialed
+  handleSelectionChange() {
+    if (!this.isEnabled || !document.hasFocus()) return;
+
+    const number = this.numberFromSelection(this.getSelectedText());
+    const normalized = number ? this.phoneNormalizer.normalize(number) : null;
+    chrome.runtime.sendMessage({
+      action: 'selectionChanged',
+      display: normalized ? normalized.display : null
+    }).catch(() => {});
+  }
+
   // ... keep all remaining methods unchanged
   calculateWidgetPosition() {
     const button = this.domCache.get('floatingButton');
-    const widgetWidth = 380;
-    const widgetHeight = 580;
+    const { width: widgetWidth, height: widgetHeight } = this.widgetLayout.fittedSize();
     const spacing = 10;
     const margin = 20;
 
@@ -488,317 +1262,525 @@ class SoftphoneManager {
     return position;
   }
 
-  makeDraggable(element, handle) {
-    let isDragging = false;
-    let currentX, currentY, initialX, initialY;
-    let rafId;
-
-    const updatePosition = () => {
-      if (!isDragging) return;
+  // ... keep all remaining utility methods
+  isValidPhoneNumber(phoneNumber) {
+    return this.phoneDetector.isValid(phoneNumber) && this.phoneNormalizer.normalize(phoneNumber) !== null;
+  }
 
-      const margin = 10;
-      const elementRect = element.getBoundingClientRect();
-      const minX = margin;
-      const maxX = window.innerWidth - elementRect.width - margin;
-      const minY = margin;
-      const maxY = window.innerHeight - elementRect.height - margin;
+  addToCallHistory(normalized, source = null, contact = null, campaignId = null) {
+    return this.callHistoryStore.add({
+      number: normalized.e164,
+      extension: normalized.extension,
+      displayNumber: normalized.display,
+      contactName: contact ? contact.name : null,
+      company: contact ? contact.company : null,
+      direction: 'outbound',
+      outcome: 'initiated',
+      pageUrl: source ? source.url : location.href,
+      pageTitle: source ? source.title : document.title,
+      campaignId
+    });
+  }
 
-      currentX = Math.max(minX, Math.min(currentX, maxX));
-      currentY = Math.max(minY, Math.min(currentY, maxY));
+  recordIncomingCall(data = {}) {
+    const from = data.from || 'Unknown';
+    const normalized = this.phoneNormalizer.normalize(from);
+
+    return this.callHistoryStore.add({
+      callId: data.callId || null,
+      number: normalized ? normalized.e164 : from,
+      displayNumber: normalized ? normalized.display : from,
+      contactName: data.displayName || data.callerName || null,
+      direction: 'inbound',
+      outcome: 'ringing',
+      pageUrl: location.href,
+      pageTitle: document.title
+    });
+  }
 
-      element.style.left = currentX + 'px';
-      element.style.top = currentY + 'px';
-    };
+  postToSoftphone(type, payload = {}, options = {}) {
+    if (!this.softphoneProtocol) {
+      return Promise.reject(new Error(`Softphone iframe not available for ${type}`));
+    }
+    return this.softphoneProtocol.send(type, payload, options);
+  }
 
-    handle.addEventListener('mousedown', (e) => {
-      isDragging = true;
-      initialX = e.clientX - element.offsetLeft;
-      initialY = e.clientY - element.offsetTop;
-      element.style.cursor = 'grabbing';
-    });
+  // Messages from the softphone iframe, already validated by SoftphoneProtocol
+  handleSoftphoneMessage(message) {
+    switch (message.type) {
+      case 'SOFTPHONE_INCOMING_CALL':
+        console.log('📞 Incoming call detected from:', message.data.from || 'Unknown');
+        this.handleIncomingCall(message.data);
+        break;
+      case 'SOFTPHONE_CALL_CONNECTED':
+      case 'SOFTPHONE_CALL_ENDED':
+      case 'SOFTPHONE_CALL_FAILED':
+      case 'SOFTPHONE_CALL_MISSED':
+        this.handleCallStatus(message.type, message.data);
+        break;
+      case 'SOFTPHONE_REQUEST_CREDENTIALS':
+        this.sendCredentialToken('SOFTPHONE_RESPONSE_CREDENTIALS');
+        break;
+      case 'SOFTPHONE_LOGOUT_SYNC':
+        this.logoutSoftphone();
+        break;
+    }
+  }
 
-    document.addEventListener('mousemove', (e) => {
-      if (isDragging) {
-        e.preventDefault();
-        currentX = e.clientX - initialX;
-        currentY = e.clientY - initialY;
+  // Credentials never pass through this page. The iframe gets a single-use token
+  // and swaps it for the credentials through SoftphoneFrameBridge in its own frame.
+  async sendCredentialToken(type) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'issueCredentialToken',
+        profileId: this.connectionProfile.id
+      });
+      if (type === 'SOFTPHONE_AUTOLOGIN' && !(response && response.token)) return;
 
-        if (rafId) cancelAnimationFrame(rafId);
-        rafId = requestAnimationFrame(updatePosition);
-      }
-    });
+      await this.postToSoftphone(type, { token: response ? response.token || null : null });
+    } catch (error) {
+      console.error('Error requesting credential token:', error);
+    }
+  }
 
-    document.addEventListener('mouseup', () => {
-      isDragging = false;
-      element.style.cursor = 'default';
-      if (rafId) cancelAnimationFrame(rafId);
-    });
+  logoutSoftphone() {
+    chrome.runtime.sendMessage({ action: 'logoutSoftphone', profileId: this.connectionProfile.id })
+      .catch(error => console.error('Error syncing logout:', error));
   }
 
-  makeButtonDraggable(button) {
-    let isDragging = false;
-    let offsetX = 0;
-    let offsetY = 0;
-    let rafId;
+  async handleIncomingCall(data = {}) {
+    const from = data.from || 'Unknown';
+    const normalized = this.phoneNormalizer.normalize(from);
+    const displayNumber = normalized ? normalized.display : from;
+
+    // The call can be answered or declined before its history entry is written
+    const recorded = this.recordIncomingCall(data);
+    this.incomingCall = {
+      callId: data.callId || null,
+      callerId: data.displayName || data.callerName || null,
+      displayNumber,
+      entryId: null,
+      recorded
+    };
+    this.incomingCallToast.show(this.incomingCall);
+    this.announce(`Incoming call from ${this.incomingCall.callerId || displayNumber}`, { urgent: true });
+
+    // The page toast goes unseen while this tab is hidden or the browser is
+    // minimized, and unheard while the browser holds back its ringtone
+    if (document.visibilityState !== 'visible' || !document.hasFocus() || this.incomingCallToast.isSilent) {
+      chrome.runtime.sendMessage({
+        action: 'incomingCall',
+        call: {
+          callId: this.incomingCall.callId,
+          callerId: this.incomingCall.callerId,
+          displayNumber
+        }
+      }).catch(error => console.warn('⚠️ Could not show desktop notification:', error));
+    }
 
-    const updateButtonPosition = () => {
-      if (!isDragging) return;
+    const call = this.incomingCall;
+    const entry = await recorded;
+    if (this.incomingCall && this.incomingCall.callId === (data.callId || null)) {
+      this.incomingCall.entryId = entry.id;
+    }
 
-      const margin = 10;
-      const buttonWidth = button.offsetWidth;
-      const buttonHeight = button.offsetHeight;
-      const minX = margin;
-      const maxX = window.innerWidth - buttonWidth - margin;
-      const minY = margin;
-      const maxY = window.innerHeight - buttonHeight - margin;
+    if (!call.callerId && normalized) {
+      this.resolveIncomingCaller(call, normalized, entry);
+    }
+  }
 
-      const x = Math.max(minX, Math.min(button._targetX, maxX));
-      const y = Math.max(minY, Math.min(button._targetY, maxY));
+  // The softphone only gave us a number; put a name to it once one turns up
+  async resolveIncomingCaller(call, normalized, entry) {
+    const contact = await this.contactResolver.resolve(normalized);
+    if (!contact) return;
 
-      button.style.left = `${x}px`;
-      button.style.top = `${y}px`;
-    };
+    await this.callHistoryStore.update(entry.id, { contactName: contact.name, company: contact.company });
+    if (this.incomingCall !== call) return;
 
-    button.addEventListener('mousedown', (e) => {
-      isDragging = true;
-      offsetX = e.clientX - button.getBoundingClientRect().left;
-      offsetY = e.clientY - button.getBoundingClientRect().top;
-      button.style.transition = 'none';
-    });
+    call.callerId = contact.name;
+    call.company = contact.company;
+    this.incomingCallToast.updateCaller({ callerId: contact.name, company: contact.company });
+  }
 
-    document.addEventListener('mousemove', (e) => {
-      if (!isDragging) return;
+  answerIncomingCall(call) {
+    this.postToSoftphone('SOFTPHONE_ANSWER', { callId: call.callId })
+      .catch(error => console.warn('⚠️ Could not reach softphone:', error.message));
+    if (!this.isWidgetOpen()) {
+      this.showWidget();
+    }
+    this.incomingCall = null;
+    this.clearIncomingCallNotification(call);
+  }
 
-      button._targetX = e.clientX - offsetX;
-      button._targetY = e.clientY - offsetY;
+  declineIncomingCall(call) {
+    this.postToSoftphone('SOFTPHONE_DECLINE', { callId: call.callId })
+      .catch(error => console.warn('⚠️ Could not reach softphone:', error.message));
+    this.closeIncomingCallEntry(call, 'declined');
+  }
 
-      if (rafId) cancelAnimationFrame(rafId);
-      rafId = requestAnimationFrame(updateButtonPosition);
-    });
+  sendIncomingCallToVoicemail(call) {
+    this.postToSoftphone('SOFTPHONE_SEND_TO_VOICEMAIL', { callId: call.callId })
+      .catch(error => console.warn('⚠️ Could not reach softphone:', error.message));
+    this.closeIncomingCallEntry(call, 'voicemail');
+  }
 
-    document.addEventListener('mouseup', () => {
-      if (isDragging) {
-        isDragging = false;
-        button.style.transition = 'left 0.2s ease, top 0.2s ease';
-        if (rafId) cancelAnimationFrame(rafId);
-
-        if (this.widget && this.isWidgetVisible) {
-          const position = this.calculateWidgetPosition();
-          Object.keys(position).forEach(key => {
-            this.widget.style[key] = position[key];
-          });
-        }
-      }
-    });
+  clearIncomingCallNotification(call) {
+    chrome.runtime.sendMessage({ action: 'incomingCallHandled', callId: call.callId }).catch(() => {});
   }
 
-  // ... keep all remaining utility methods
-  cleanPhoneNumber(phoneNumber) {
-    return phoneNumber.replace(/[^\d+]/g, '');
+  // Answer/Decline pressed on the desktop notification
+  handleIncomingCallAction(action) {
+    const call = this.incomingCall;
+    if (!call) {
+      this.showWidget();
+      return;
+    }
+
+    this.incomingCallToast.dismiss();
+    if (action === 'answerIncomingCall') {
+      this.answerIncomingCall(call);
+    } else {
+      this.declineIncomingCall(call);
+      this.showWidget();
+    }
   }
 
-  isValidPhoneNumber(phoneNumber) {
-    const cleaned = phoneNumber.replace(/[^\d+]/g, '');
-    return /^[+]?[\d\s\-().]{7,15}$/.test(cleaned) && cleaned.length >= 7 && cleaned.length <= 15;
+  async closeIncomingCallEntry(call, outcome) {
+    // The toast hands back its own copy of the call once the caller is named
+    if (this.incomingCall && this.incomingCall.callId === call.callId) {
+      call = this.incomingCall;
+      this.incomingCall = null;
+    }
+    this.clearIncomingCallNotification(call);
+
+    const entryId = call.entryId || (await call.recorded).id;
+    await this.callHistoryStore.update(entryId, {
+      outcome,
+      endedAt: new Date().toISOString(),
+      duration: 0
+    });
   }
 
-  addToCallHistory(phoneNumber) {
-    const timestamp = new Date().toISOString();
-    const call = {
-      number: phoneNumber,
-      timestamp: timestamp,
-      direction: 'outbound'
-    };
+  // Outcome reports from the softphone iframe. `data` may carry callId, number and duration (seconds).
+  async handleCallStatus(type, data = {}) {
+    const normalized = data.number ? this.phoneNormalizer.normalize(data.number) : null;
+    this.activeCall = type === 'SOFTPHONE_CALL_CONNECTED'
+      ? { callId: data.callId || null, displayNumber: normalized ? normalized.display : data.number || '', answeredAt: Date.now() }
+      : null;
+    this.updateCallBar();
+
+    // The call was handled in the softphone itself
+    if (this.incomingCallToast.isVisible) {
+      this.incomingCallToast.dismiss();
+    }
+    const ringing = this.incomingCall;
+    if (ringing) {
+      this.clearIncomingCallNotification(ringing);
+      this.incomingCall = null;
+      await ringing.recorded;
+    }
+
+    await this.callHistoryStore.load();
+
+    const entry = this.callHistoryStore.findOpenEntry({
+      callId: data.callId || null,
+      number: normalized ? normalized.e164 : null
+    });
+    if (!entry) return;
+
+    const now = new Date().toISOString();
+    const changes = { callId: entry.callId || data.callId || null };
+
+    switch (type) {
+      case 'SOFTPHONE_CALL_CONNECTED':
+        changes.outcome = 'connected';
+        changes.answeredAt = now;
+        break;
+      case 'SOFTPHONE_CALL_ENDED':
+        changes.endedAt = now;
+        if (entry.answeredAt) {
+          changes.outcome = 'completed';
+          changes.duration = data.duration ?? Math.round((Date.now() - new Date(entry.answeredAt).getTime()) / 1000);
+        } else {
+          changes.outcome = entry.direction === 'inbound' ? 'missed' : 'failed';
+          changes.duration = 0;
+        }
+        break;
+      case 'SOFTPHONE_CALL_FAILED':
+        changes.outcome = 'failed';
+        changes.endedAt = now;
+        changes.duration = 0;
+        break;
+      case 'SOFTPHONE_CALL_MISSED':
+        changes.outcome = 'missed';
+        changes.endedAt = now;
+        changes.duration = 0;
+        break;
+      default:
+        return;
+    }
 
-    this.callHistory.unshift(call);
+    const updated = await this.callHistoryStore.update(entry.id, changes);
+    if (!updated) return;
 
-    if (this.callHistory.length > 50) {
-      this.callHistory = this.callHistory.slice(0, 50);
+    if (type === 'SOFTPHONE_CALL_ENDED') {
+      await this.showWrapUp(updated);
     }
+    if (type !== 'SOFTPHONE_CALL_CONNECTED') {
+      this.campaignDialer.handleCallEnded(updated);
+    }
+  }
 
-    chrome.storage.local.set({ callHistory: this.callHistory });
+  async showWrapUp(entry) {
+    if (!this.settings.showWrapUp) return;
+
+    this.wrapUpPanel.show(entry, this.settings.dispositionCodes);
   }
 
-  clearCallHistory() {
-    this.callHistory = [];
-    chrome.storage.local.set({ callHistory: [] });
+  async saveWrapUp(entry, { disposition, notes, followUpAt }) {
+    try {
+      await this.callHistoryStore.update(entry.id, {
+        disposition,
+        notes,
+        followUpAt,
+        wrappedUpAt: new Date().toISOString()
+      });
+
+      // The follow-up time becomes a callback reminder back to the same record
+      if (followUpAt) {
+        await this.callbackSchedule.schedule({
+          number: entry.number,
+          extension: entry.extension,
+          displayNumber: entry.displayNumber,
+          contactName: entry.contactName,
+          company: entry.company,
+          dueAt: followUpAt,
+          note: [disposition, notes].filter(Boolean).join(' · '),
+          pageUrl: entry.pageUrl,
+          pageTitle: entry.pageTitle,
+          historyEntryId: entry.id
+        });
+      }
+      this.showNotification(followUpAt ? '⏰ Call notes saved and callback scheduled' : 'Call notes saved', 'success');
+    } catch (error) {
+      console.error('Error saving call wrap-up:', error);
+      this.showNotification('Could not save the call notes', 'error');
+    }
   }
 
   showNotification(message, type = 'info') {
     const notification = document.createElement('div');
     notification.className = `softphone-notification ${type}`;
-    notification.textContent = message;
-    document.body.appendChild(notification);
-    setTimeout(() => notification.remove(), 3000);
+    this.announce(message, { element: notification, urgent: type === 'error' });
+  }
+
+  // Messages go through one polite live region so screen readers read them out;
+  // urgent ones are alerts and interrupt. Without an element the message is
+  // only announced, not shown.
+  announce(message, { element = null, urgent = false } = {}) {
+    if (!this.notificationRegion || !this.notificationRegion.isConnected) {
+      this.notificationRegion = document.createElement('div');
+      this.notificationRegion.className = 'softphone-notification-region';
+      this.notificationRegion.setAttribute('aria-live', 'polite');
+      document.body.appendChild(this.notificationRegion);
+    }
+
+    const item = element || document.createElement('div');
+    if (!element) item.className = 'softphone-visually-hidden';
+    item.setAttribute('role', urgent ? 'alert' : 'status');
+    this.notificationRegion.appendChild(item);
+
+    // Text that arrives after the element is in the region is what gets announced
+    setTimeout(() => {
+      item.textContent = message;
+    }, 0);
+    setTimeout(() => item.remove(), 3000);
   }
 
   toggleExtension() {
     this.isEnabled = !this.isEnabled;
 
     if (this.isEnabled) {
+      if (!this.listenersAttached) {
+        this.setupEventListeners();
+      }
+      if (!this.widget && this.isSessionHost) {
+        this.initializeWidget();
+      } else if (this.isTopFrame && !this.isSessionHost) {
+        // The session may have nowhere to live since this page was turned off
+        this.registerSessionTab().then(isHost => {
+          if (isHost) this.becomeSessionHost();
+        });
+      }
       this.createFloatingButton();
+      this.syncPageScanner();
       this.scheduleHighlighting();
     } else {
-      const floatingBtn = this.domCache.get('floatingButton');
-      if (floatingBtn) {
-        floatingBtn.remove();
-        this.domCache.delete('floatingButton');
-      }
+      this.removeFloatingButton();
       this.hideWidget();
+      this.syncPageScanner();
       this.removeHighlights();
+      this.handOffSessionHost();
     }
   }
 
+  // A page that turns us off can't take incoming calls; let another tab host
+  handOffSessionHost() {
+    if (!this.isSessionHost || !this.releaseSessionHost().success) return;
+
+    chrome.runtime.sendMessage({ action: 'releaseSoftphoneHost' })
+      .catch(error => console.warn('⚠️ Could not hand the softphone session over:', error));
+  }
+
   removeHighlights() {
-    const highlights = document.querySelectorAll('.softphone-highlighted-number');
-    highlights.forEach(highlight => {
-      highlight.replaceWith(highlight.textContent);
-    });
+    this.pageScanner.clear();
     this.processedElements = new WeakSet();
   }
 
   updateSettings(newSettings) {
-    this.settings = { ...this.settings, ...newSettings };
+    this.applySettings(newSettings);
     this.saveSettings();
-
-    if (newSettings.showFloatingButton !== undefined) {
-      const floatingBtn = this.domCache.get('floatingButton');
-      if (newSettings.showFloatingButton && !floatingBtn) {
-        this.createFloatingButton();
-      } else if (!newSettings.showFloatingButton && floatingBtn) {
-        floatingBtn.remove();
-        this.domCache.delete('floatingButton');
-      }
-    }
-
-    if (newSettings.highlightNumbers !== undefined) {
-      if (newSettings.highlightNumbers) {
-        this.scheduleHighlighting();
-      } else {
-        this.removeHighlights();
-      }
-    }
   }
 
-  highlightPhoneNumbers() {
-    if (!this.settings.highlightNumbers) return;
-
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: (node) => {
-          const parent = node.parentElement;
-
-          if (this.processedElements.has(parent)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-
-          if (parent && ['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'OBJECT'].includes(parent.tagName)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-
-          if (parent && parent.classList &&
-            (parent.classList.contains('softphone-highlighted-number') ||
-              parent.classList.contains('softphone-widget-container'))) {
-            return NodeFilter.FILTER_REJECT;
-          }
-
-          return NodeFilter.FILTER_ACCEPT;
-        }
-      }
-    );
+  applySettings(newSettings) {
+    this.settings = { ...this.settings, ...newSettings };
 
-    const textNodes = [];
-    let node;
-    while (node = walker.nextNode()) {
-      textNodes.push(node);
+    if (this.isTopFrame && (newSettings.historyRetentionDays !== undefined || newSettings.historyMaxEntries !== undefined)) {
+      this.callHistoryStore.configure({
+        retentionDays: this.settings.historyRetentionDays,
+        maxEntries: this.settings.historyMaxEntries
+      });
+      this.callHistoryStore.mutate(entries => entries);
     }
 
-    const processChunk = (startIndex) => {
-      const endIndex = Math.min(startIndex + 10, textNodes.length);
-
-      for (let i = startIndex; i < endIndex; i++) {
-        const textNode = textNodes[i];
-        const text = textNode.textContent;
-
-        if (text.length > 200) continue;
-
-        const matches = [...text.matchAll(this.phoneRegex)];
-
-        if (matches.length > 0) {
-          const parent = textNode.parentElement;
-          if (!parent) continue;
-
-          let newHTML = text;
-
-          matches.reverse().forEach(match => {
-            const phoneNumber = match[0];
-            const highlightedSpan = `<span class="softphone-highlighted-number" title="Click to call ${phoneNumber}">${phoneNumber}</span>`;
-            newHTML = newHTML.substring(0, match.index) + highlightedSpan + newHTML.substring(match.index + phoneNumber.length);
-          });
-
-          if (newHTML !== text) {
-            parent.innerHTML = parent.innerHTML.replace(text, newHTML);
-            this.processedElements.add(parent);
-          }
-        }
-      }
+    if (newSettings.muteRingtone !== undefined) {
+      this.incomingCallToast.setMuted(newSettings.muteRingtone);
+    }
 
-      if (endIndex < textNodes.length) {
-        if (window.requestAnimationFrame) {
-          requestAnimationFrame(() => processChunk(endIndex));
-        } else {
-          setTimeout(() => processChunk(endIndex), 0);
-        }
-      }
-    };
+    if (newSettings.defaultCountry !== undefined) {
+      this.phoneDetector.setCountry(newSettings.defaultCountry);
+      this.phoneNormalizer.setCountry(newSettings.defaultCountry);
+      this.removeHighlights();
+      this.scheduleHighlighting();
+    }
 
-    if (textNodes.length > 0) {
-      processChunk(0);
+    if (this.isEnabled && (newSettings.showFloatingButton !== undefined || newSettings.highlightNumbers !== undefined)) {
+      this.refreshPageFeatures();
     }
   }
 
+  highlightPhoneNumbers() {
+    if (!this.isFeatureEnabled('highlightNumbers')) return;
+    this.pageScanner.scan(document.body);
+  }
+
   handleMessage(request, sender, sendResponse) {
+    // Subframes follow page-wide switches but leave answering to the top frame
+    if (!this.isTopFrame && !SUBFRAME_ACTIONS.includes(request.action)) {
+      return false;
+    }
+
     switch (request.action) {
       case 'toggleExtension':
         this.toggleExtension();
         sendResponse({ success: true });
         break;
       case 'openWidget':
-        this.showWidget(request.number);
+        this.openWidget(request.number, request.source, request.contact);
         sendResponse({ success: true });
         break;
-      case 'getCallHistory':
-        sendResponse({ callHistory: this.callHistory });
+      case 'updateSettings':
+        this.updateSettings(request.settings);
+        sendResponse({ success: true });
         break;
-      case 'clearCallHistory':
-        this.clearCallHistory();
+      case 'runSoftphoneCommand':
+        this.runSoftphoneCommand(request.command);
         sendResponse({ success: true });
         break;
-      case 'updateSettings':
-        this.updateSettings(request.settings);
+      case 'callSelection':
+        // The keyboard command reaches every frame; only the focused one acts
+        if (request.text !== undefined || (document.hasFocus() && !(document.activeElement instanceof HTMLIFrameElement))) {
+          this.callSelection(request.text);
+        }
         sendResponse({ success: true });
         break;
+      case 'getScanMetrics':
+        sendResponse({ metrics: this.pageScanner.getMetrics() });
+        break;
+      case 'getStatus':
+        sendResponse({
+          isEnabled: this.isEnabled,
+          settings: this.settings,
+          hostname: location.hostname,
+          siteOverrides: this.siteOverrides
+        });
+        break;
+      case 'ping':
+        this.configReady.then(() => sendResponse({ isHost: this.isSessionHost, isEnabled: this.isEnabled }));
+        return true;
+      case 'answerIncomingCall':
+      case 'declineIncomingCall':
+        this.handleIncomingCallAction(request.action);
+        sendResponse({ success: true });
+        break;
+      case 'startCampaign':
+        this.startCampaign()
+          .then(count => sendResponse({ success: true, count }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      case 'releaseHost':
+        sendResponse(this.releaseSessionHost());
+        break;
+      case 'becomeHost':
+        if (!this.isEnabled) {
+          sendResponse({ success: false });
+          break;
+        }
+        this.becomeSessionHost().then(() => sendResponse({ success: true }));
+        return true;
       default:
         sendResponse({ error: 'Unknown action' });
     }
   }
 
   destroy() {
-    if (this.mutationObserver) {
-      this.mutationObserver.disconnect();
-    }
+    this.pageScanner.stop();
 
     document.removeEventListener('click', this.boundHandleClick, true);
     document.removeEventListener('keydown', this.boundHandleKeyboard);
+    this.fieldCallButton.detach();
+    document.removeEventListener('selectionchange', this.debouncedSelectionChange);
+    window.removeEventListener('resize', this.debouncedResize);
+    this.listenersAttached = false;
+    chrome.runtime.onMessage.removeListener(this.boundHandleMessage);
+    if (this.frameBridge) {
+      this.frameBridge.detach();
+    }
 
-    this.hideWidget();
-    this.removeHighlights();
+    if (this.stopWatchingProfiles) {
+      this.stopWatchingProfiles();
+    }
+    if (this.stopWatchingSiteRules) {
+      this.stopWatchingSiteRules();
+    }
+    if (this.stopWatchingSettings) {
+      this.stopWatchingSettings();
+    }
+    if (this.stopWatchingContacts) {
+      this.stopWatchingContacts();
+    }
 
-    const floatingBtn = this.domCache.get('floatingButton');
-    if (floatingBtn) {
-      floatingBtn.remove();
+    this.teardownWidget();
+    this.removeHighlights();
+    this.incomingCallToast.dismiss();
+    this.wrapUpPanel.destroy();
+    this.callbackPrompt.dismiss();
+    this.campaignDialer.dismiss();
+    this.removeFloatingButton();
+
+    if (this.notificationRegion) {
+      this.notificationRegion.remove();
+      this.notificationRegion = null;
     }
 
     this.domCache.clear();
@@ -895,104 +1877,6 @@ class SoftphoneManager {
 // });
 
 
-window.addEventListener("message", (event) => {
-  if (event.origin !== "https://founderscartin.s3.ap-south-1.amazonaws.com") return;
-
-  const data = event.data;
-
-  if (data.type === "SOFTPHONE_INCOMING_CALL") {
-    const callFrom = data.data?.from || "Unknown";
-    console.log("📞 Incoming call detected from:", callFrom);
-    if (window.softphoneManagerInstance && !window.softphoneManagerInstance.isWidgetOpen()) {
-      window.softphoneManagerInstance.showWidget();
-    }
-    const notif = document.createElement("div");
-    notif.className = "softphone-notification info";
-    notif.textContent = `📞 Incoming call from ${callFrom}`;
-    document.body.appendChild(notif);
-    setTimeout(() => notif.remove(), 5000);
-  }
-
-  if (data.type === "SOFTPHONE_SAVE_CREDENTIALS") {
-    chrome.storage.local.set({ softphoneCredentials: data.credentials }, () => {
-      console.log("📦 Credentials synced to Chrome storage");
-    });
-  }
-
-  if (data.type === "SOFTPHONE_REQUEST_CREDENTIALS") {
-    chrome.storage.local.get(["softphoneCredentials"], (result) => {
-      event.source.postMessage({
-        type: "SOFTPHONE_RESPONSE_CREDENTIALS",
-        credentials: result.softphoneCredentials || null
-      }, event.origin);
-    });
-  }
-
-  if (event.data.type === "SOFTPHONE_LOGOUT_SYNC") {
-    chrome.storage.local.set({
-      softphoneCredentials: { loggedIn: false }
-    }, () => {
-      console.log("🧹 Logout synced to Chrome storage");
-    });
-  }
-});
-
-// ✅ DEBUG: Check current credentials stored in Chrome storage
-chrome.storage.local.get("softphoneCredentials", (result) => {
-  console.log("🧠 Current Chrome Storage Credentials:", result);
-});
-
-
-chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === "local" && changes.softphoneCredentials) {
-    const newCreds = changes.softphoneCredentials.newValue;
-
-    // Detect logout
-    if (newCreds?.loggedIn === false) {
-      console.log("🔒 Detected logout from another tab — forwarding to iframe");
-
-      const iframe = document.getElementById("softphone-widget");
-      if (iframe && iframe.contentWindow) {
-        iframe.contentWindow.postMessage(
-          { type: "SOFTPHONE_FORCE_LOGOUT" },
-          "https://founderscartin.s3.ap-south-1.amazonaws.com"
-        );
-      }
-    }
-  }
-});
-
-function pushCredsToIframe() {
-  const iframe = document.querySelector("#softphone-widget");
-  if (!iframe || !iframe.contentWindow) return;
-
-  chrome.storage.local.get(["softphoneCredentials"], (result) => {
-    const creds = result.softphoneCredentials;
-    if (creds && creds.loggedIn) {
-      console.log("📤 Auto pushing credentials to iframe (first load)");
-      iframe.contentWindow.postMessage({
-        type: "SOFTPHONE_RESPONSE_CREDENTIALS",
-        credentials: creds
-      }, "https://founderscartin.s3.ap-south-1.amazonaws.com");
-    }
-  });
-}
-
-// Delay to wait for iframe to mount, then push credentials
-const waitForIframe = () => {
-  const interval = setInterval(() => {
-    const iframe = document.querySelector("#softphone-widget");
-    if (iframe && iframe.contentWindow) {
-      iframe.addEventListener("load", () => setTimeout(pushCredsToIframe, 200));
-      clearInterval(interval);
-    }
-  }, 200);
-};
-
-waitForIframe();
-
-
-
 // Initialize the softphone manager when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
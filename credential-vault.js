@@ -0,0 +1,125 @@
+// Softphone credentials live only in the background context, in session storage
+// (cleared when the browser closes, unreadable from content scripts). The iframe
+// receives a short-lived, single-use token and redeems it through our content
+// script in its own frame, so the credentials never pass through the host page. Tokens are kept in session
+// storage too, so they outlive a worker restart. Credentials are kept per
+// connection profile so each tenant keeps its own login.
+const CREDENTIALS_KEY = 'softphoneCredentials';
+const CREDENTIAL_TOKENS_KEY = 'softphoneCredentialTokens';
+const CREDENTIAL_TOKEN_TTL_MS = 30000;
+
+class CredentialVault {
+  constructor() {
+    this.tokenLock = Promise.resolve();
+    this.ready = this.init();
+  }
+
+  async init() {
+    try {
+      await chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_CONTEXTS' });
+      await this.migrateLegacyCredentials();
+    } catch (error) {
+      console.error('Credential vault initialization error:', error);
+    }
+  }
+
+  // Earlier versions kept credentials in plaintext in chrome.storage.local
+  async migrateLegacyCredentials() {
+    const legacy = await chrome.storage.local.get([CREDENTIALS_KEY]);
+    if (!legacy[CREDENTIALS_KEY]) return;
+
+    if (legacy[CREDENTIALS_KEY].loggedIn) {
+      await chrome.storage.session.set({
+        [CREDENTIALS_KEY]: { [DEFAULT_CONNECTION_PROFILE.id]: legacy[CREDENTIALS_KEY] }
+      });
+    }
+    await chrome.storage.local.remove(CREDENTIALS_KEY);
+  }
+
+  async readAll() {
+    await this.ready;
+    const result = await chrome.storage.session.get([CREDENTIALS_KEY]);
+    return result[CREDENTIALS_KEY] || {};
+  }
+
+  async getCredentials(profileId) {
+    const all = await this.readAll();
+    return all[profileId] || null;
+  }
+
+  async save(profileId, credentials) {
+    const all = await this.readAll();
+    all[profileId] = credentials;
+    await chrome.storage.session.set({ [CREDENTIALS_KEY]: all });
+  }
+
+  async clear(profileId) {
+    const all = await this.readAll();
+    delete all[profileId];
+    await chrome.storage.session.set({ [CREDENTIALS_KEY]: all });
+    await this.withTokenLock(async () => {
+      const tokens = await this.readTokens();
+      await this.writeTokens(Object.fromEntries(
+        Object.entries(tokens).filter(([, details]) => details.profileId !== profileId)
+      ));
+    });
+  }
+
+  // A token is read and deleted in one step, so the same token can't be redeemed twice
+  withTokenLock(task) {
+    const run = this.tokenLock.then(task, task);
+    this.tokenLock = run.catch(() => {});
+    return run;
+  }
+
+  async readTokens() {
+    await this.ready;
+    const result = await chrome.storage.session.get([CREDENTIAL_TOKENS_KEY]);
+    return result[CREDENTIAL_TOKENS_KEY] || {};
+  }
+
+  // Expired tokens are dropped on every write
+  async writeTokens(tokens) {
+    const now = Date.now();
+    await chrome.storage.session.set({
+      [CREDENTIAL_TOKENS_KEY]: Object.fromEntries(
+        Object.entries(tokens).filter(([, details]) => details.expiresAt > now)
+      )
+    });
+  }
+
+  createToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // origin: the only origin allowed to redeem the token. Resolves to null when
+  // there is nothing to log in with.
+  async issueToken(profileId, origin) {
+    const credentials = await this.getCredentials(profileId);
+    if (!credentials || !credentials.loggedIn) return null;
+
+    const token = this.createToken();
+    await this.withTokenLock(async () => {
+      const tokens = await this.readTokens();
+      tokens[token] = { profileId, origin, expiresAt: Date.now() + CREDENTIAL_TOKEN_TTL_MS };
+      await this.writeTokens(tokens);
+    });
+    return token;
+  }
+
+  async redeemToken(token, origin) {
+    if (!token) return null;
+
+    const details = await this.withTokenLock(async () => {
+      const tokens = await this.readTokens();
+      const found = tokens[token] || null;
+      delete tokens[token];
+      await this.writeTokens(tokens);
+      return found;
+    });
+
+    if (!details || details.expiresAt <= Date.now() || details.origin !== origin) return null;
+    return this.getCredentials(details.profileId);
+  }
+}
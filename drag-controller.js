@@ -0,0 +1,180 @@
+// Pointer-driven dragging shared by the widget header and the floating button.
+// Works with mouse, touch and pen, tells a drag from a click, moves the element
+// with the arrow keys, and removes every listener it added on destroy().
+const DRAG_THRESHOLD_PX = 5;
+const DRAG_KEY_STEP = 10;
+const DRAG_KEY_STEP_LARGE = 50;
+const DRAG_MARGIN = 10;
+const DRAG_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+class DragController {
+  // onStart({ clientX, clientY }) runs once a drag is under way and may move or
+  // resize the element; onEnd() runs when it finishes, by pointer or keyboard
+  constructor({ element, handle = element, onStart, onEnd }) {
+    this.element = element;
+    this.handle = handle;
+    this.onStart = onStart;
+    this.onEnd = onEnd;
+
+    this.pointerId = null;
+    this.isDragging = false;
+    this.suppressClick = false;
+    this.isKeyboardMove = false;
+    this.frameId = null;
+
+    this.boundPointerDown = this.handlePointerDown.bind(this);
+    this.boundPointerMove = this.handlePointerMove.bind(this);
+    this.boundPointerUp = this.handlePointerUp.bind(this);
+    this.boundClick = this.handleClick.bind(this);
+    this.boundKeyDown = this.handleKeyDown.bind(this);
+    this.boundKeyUp = this.handleKeyUp.bind(this);
+
+    handle.addEventListener('pointerdown', this.boundPointerDown);
+    handle.addEventListener('click', this.boundClick, true);
+    handle.addEventListener('keydown', this.boundKeyDown);
+    handle.addEventListener('keyup', this.boundKeyUp);
+    handle.addEventListener('blur', this.boundKeyUp);
+  }
+
+  handlePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    // Controls inside the handle keep working as controls
+    const control = e.target.closest('button, input, select, a');
+    if (control && control !== this.handle) return;
+
+    this.pointerId = e.pointerId;
+    this.startX = e.clientX;
+    this.startY = e.clientY;
+    this.handle.setPointerCapture(e.pointerId);
+    this.handle.addEventListener('pointermove', this.boundPointerMove);
+    this.handle.addEventListener('pointerup', this.boundPointerUp);
+    this.handle.addEventListener('pointercancel', this.boundPointerUp);
+  }
+
+  handlePointerMove(e) {
+    if (e.pointerId !== this.pointerId) return;
+
+    if (!this.isDragging) {
+      if (Math.hypot(e.clientX - this.startX, e.clientY - this.startY) < DRAG_THRESHOLD_PX) return;
+      this.beginDrag(e);
+    }
+
+    this.targetLeft = e.clientX - this.offsetX;
+    this.targetTop = e.clientY - this.offsetY;
+
+    if (!this.frameId) {
+      this.frameId = requestAnimationFrame(() => {
+        this.frameId = null;
+        this.moveTo(this.targetLeft, this.targetTop);
+      });
+    }
+  }
+
+  beginDrag(point) {
+    this.isDragging = true;
+    this.element.classList.add('dragging');
+    if (this.onStart) this.onStart({ clientX: point.clientX, clientY: point.clientY });
+
+    // onStart may have moved the element, so measure afterwards
+    const rect = this.element.getBoundingClientRect();
+    this.offsetX = point.clientX - rect.left;
+    this.offsetY = point.clientY - rect.top;
+  }
+
+  handlePointerUp(e) {
+    if (e.pointerId !== this.pointerId) return;
+
+    this.releasePointer();
+    if (!this.isDragging) return;
+
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+      this.moveTo(this.targetLeft, this.targetTop);
+    }
+
+    // The click that follows a drag must not count as a click
+    this.suppressClick = true;
+    setTimeout(() => {
+      this.suppressClick = false;
+    }, 0);
+
+    this.endDrag();
+  }
+
+  endDrag() {
+    this.isDragging = false;
+    this.element.classList.remove('dragging');
+    if (this.onEnd) this.onEnd();
+  }
+
+  releasePointer() {
+    if (this.pointerId !== null && this.handle.hasPointerCapture(this.pointerId)) {
+      this.handle.releasePointerCapture(this.pointerId);
+    }
+    this.pointerId = null;
+    this.handle.removeEventListener('pointermove', this.boundPointerMove);
+    this.handle.removeEventListener('pointerup', this.boundPointerUp);
+    this.handle.removeEventListener('pointercancel', this.boundPointerUp);
+  }
+
+  handleClick(e) {
+    if (!this.suppressClick) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    this.suppressClick = false;
+  }
+
+  // Arrow keys nudge the element; Shift moves it further
+  handleKeyDown(e) {
+    const direction = DRAG_KEYS[e.key];
+    if (!direction || e.target !== this.handle) return;
+
+    e.preventDefault();
+    if (!this.isKeyboardMove) {
+      const rect = this.element.getBoundingClientRect();
+      this.isKeyboardMove = true;
+      this.beginDrag({ clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 });
+    }
+
+    const step = e.shiftKey ? DRAG_KEY_STEP_LARGE : DRAG_KEY_STEP;
+    const rect = this.element.getBoundingClientRect();
+    this.moveTo(rect.left + direction[0] * step, rect.top + direction[1] * step);
+  }
+
+  // Also called on blur, since the keyup may then never arrive
+  handleKeyUp(e) {
+    if (!this.isKeyboardMove || (e.type === 'keyup' && !DRAG_KEYS[e.key])) return;
+
+    this.isKeyboardMove = false;
+    this.endDrag();
+  }
+
+  moveTo(left, top) {
+    const rect = this.element.getBoundingClientRect();
+    const maxLeft = window.innerWidth - rect.width - DRAG_MARGIN;
+    const maxTop = window.innerHeight - rect.height - DRAG_MARGIN;
+
+    this.element.style.left = `${Math.max(DRAG_MARGIN, Math.min(left, maxLeft))}px`;
+    this.element.style.top = `${Math.max(DRAG_MARGIN, Math.min(top, maxTop))}px`;
+    this.element.style.right = 'auto';
+    this.element.style.bottom = 'auto';
+  }
+
+  destroy() {
+    this.releasePointer();
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+
+    this.handle.removeEventListener('pointerdown', this.boundPointerDown);
+    this.handle.removeEventListener('click', this.boundClick, true);
+    this.handle.removeEventListener('keydown', this.boundKeyDown);
+    this.handle.removeEventListener('keyup', this.boundKeyUp);
+    this.handle.removeEventListener('blur', this.boundKeyUp);
+    this.element.classList.remove('dragging');
+  }
+}
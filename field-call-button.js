@@ -0,0 +1,132 @@
+// Small call button shown beside a focused text field whose value holds a phone number.
+const CALLABLE_FIELD_SELECTOR = 'input:not([type]), input[type="text"], input[type="tel"], input[type="search"], textarea';
+const FIELD_BUTTON_SIZE = 24;
+
+class FieldCallButton {
+  // isEnabled is checked on every focus change; onCall receives the matched number
+  constructor({ detector, isEnabled, onCall }) {
+    this.detector = detector;
+    this.isEnabled = isEnabled;
+    this.onCall = onCall;
+    this.button = null;
+    this.field = null;
+    this.number = null;
+
+    this.boundHandleFieldEvent = this.handleFieldEvent.bind(this);
+    this.boundHandleBlur = this.handleBlur.bind(this);
+    this.boundReposition = this.reposition.bind(this);
+  }
+
+  attach() {
+    document.addEventListener('focusin', this.boundHandleFieldEvent, true);
+    document.addEventListener('input', this.boundHandleFieldEvent, true);
+    document.addEventListener('focusout', this.boundHandleBlur, true);
+    window.addEventListener('scroll', this.boundReposition, { capture: true, passive: true });
+    window.addEventListener('resize', this.boundReposition);
+  }
+
+  detach() {
+    document.removeEventListener('focusin', this.boundHandleFieldEvent, true);
+    document.removeEventListener('input', this.boundHandleFieldEvent, true);
+    document.removeEventListener('focusout', this.boundHandleBlur, true);
+    window.removeEventListener('scroll', this.boundReposition, { capture: true });
+    window.removeEventListener('resize', this.boundReposition);
+    this.hide();
+  }
+
+  // Events from inside shadow roots are retargeted to the host, so look at the real origin
+  fieldFromEvent(event) {
+    const [target] = event.composedPath();
+    if (!target || !target.matches || !target.matches(CALLABLE_FIELD_SELECTOR)) return null;
+    if (target.disabled || target.type === 'password') return null;
+    return target;
+  }
+
+  findNumber(value) {
+    if (!value || value.length > 500) return null;
+
+    const matches = this.detector.findAll(value);
+    return matches.length === 1 ? matches[0].number : null;
+  }
+
+  handleFieldEvent(event) {
+    const field = this.fieldFromEvent(event);
+    if (!field) return;
+
+    const number = this.isEnabled() ? this.findNumber(field.value) : null;
+    if (!number) {
+      this.hide();
+      return;
+    }
+
+    this.field = field;
+    this.number = number;
+    this.show();
+  }
+
+  handleBlur(event) {
+    if (this.field && this.fieldFromEvent(event) === this.field) {
+      this.hide();
+    }
+  }
+
+  createButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'softphone-field-call-button';
+    button.innerHTML = `
+    <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+      <path d="M20.01 15.38c-1.23 0-2.42-.2-3.53-.56-.35-.12-.74-.03-1.01.24l-1.57 1.97c-2.83-1.35-5.48-3.9-6.89-6.83l1.95-1.66c.27-.28.35-.67.24-1.02-.37-1.11-.56-2.3-.56-3.53 0-.54-.45-.99-.99-.99H4.19C3.65 3 3 3.24 3 3.99 3 13.28 10.73 21 20.01 21c.71 0 .99-.63.99-1.18v-3.45c0-.54-.45-.99-.99-.99z"/>
+    </svg>
+  `;
+
+    // Keep focus in the field so clicking doesn't blur it and hide the button first
+    button.addEventListener('mousedown', (e) => e.preventDefault());
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (this.number) this.onCall(this.number);
+    });
+
+    return button;
+  }
+
+  show() {
+    if (!this.button) {
+      this.button = this.createButton();
+      document.body.appendChild(this.button);
+    }
+
+    this.button.title = `Call ${this.number}`;
+    this.button.setAttribute('aria-label', `Call ${this.number}`);
+    this.reposition();
+  }
+
+  // Just outside the field's right edge, or inside it when there is no room
+  reposition() {
+    if (!this.button || !this.field) return;
+
+    const rect = this.field.getBoundingClientRect();
+    if (!this.field.isConnected || rect.width === 0) {
+      this.hide();
+      return;
+    }
+
+    const outside = rect.right + 4;
+    const left = outside + FIELD_BUTTON_SIZE <= window.innerWidth
+      ? outside
+      : rect.right - FIELD_BUTTON_SIZE - 4;
+
+    this.button.style.left = `${left}px`;
+    this.button.style.top = `${rect.top + (rect.height - FIELD_BUTTON_SIZE) / 2}px`;
+  }
+
+  hide() {
+    if (this.button) {
+      this.button.remove();
+      this.button = null;
+    }
+    this.field = null;
+    this.number = null;
+  }
+}
@@ -0,0 +1,77 @@
+// Keeps keyboard focus inside the open widget and hands it back on close.
+// Tab cannot be intercepted inside the cross-origin softphone iframe, so focus
+// sentinels at both ends of the container catch it as it leaves.
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])';
+
+class FocusTrap {
+  constructor(container) {
+    this.container = container;
+    this.returnFocusTo = null;
+    this.isActive = false;
+
+    this.startSentinel = this.createSentinel(() => this.focusLast());
+    this.endSentinel = this.createSentinel(() => this.focusFirst());
+    container.prepend(this.startSentinel);
+    container.append(this.endSentinel);
+  }
+
+  createSentinel(onFocus) {
+    const sentinel = document.createElement('span');
+    sentinel.className = 'softphone-focus-sentinel';
+    sentinel.tabIndex = -1;
+    sentinel.setAttribute('aria-hidden', 'true');
+    sentinel.addEventListener('focus', onFocus);
+    return sentinel;
+  }
+
+  focusableElements() {
+    return [...this.container.querySelectorAll(FOCUSABLE_SELECTOR)]
+      .filter(element => !element.classList.contains('softphone-focus-sentinel') &&
+        element.getClientRects().length > 0);
+  }
+
+  focusFirst() {
+    const [first] = this.focusableElements();
+    if (first) first.focus();
+  }
+
+  focusLast() {
+    const elements = this.focusableElements();
+    if (elements.length) elements[elements.length - 1].focus();
+  }
+
+  // initialFocus defaults to the first focusable element
+  activate(initialFocus = null) {
+    if (!this.isActive) {
+      const active = document.activeElement;
+      this.returnFocusTo = active && active !== document.body && !this.container.contains(active) ? active : null;
+      this.isActive = true;
+    }
+
+    this.startSentinel.tabIndex = 0;
+    this.endSentinel.tabIndex = 0;
+    if (initialFocus) {
+      initialFocus.focus();
+    } else {
+      this.focusFirst();
+    }
+  }
+
+  // Focus only goes back if it is still in the widget; after a click elsewhere
+  // on the page it stays where the user put it
+  deactivate() {
+    if (!this.isActive) return;
+
+    const active = document.activeElement;
+    const hadFocus = this.container.contains(active) || !active || active === document.body;
+
+    this.isActive = false;
+    this.startSentinel.tabIndex = -1;
+    this.endSentinel.tabIndex = -1;
+
+    if (hadFocus && this.returnFocusTo && this.returnFocusTo.isConnected) {
+      this.returnFocusTo.focus();
+    }
+    this.returnFocusTo = null;
+  }
+}
@@ -0,0 +1,190 @@
+// Incoming-call banner with Answer / Decline / Voicemail actions and a generated ringtone.
+class Ringtone {
+  constructor() {
+    this.context = null;
+    this.intervalId = null;
+  }
+
+  // Two short 440/480 Hz bursts every three seconds, like a desk phone.
+  // Returns false while the browser keeps the audio suspended: until the page
+  // has had a click or key press, nothing is heard.
+  start() {
+    if (this.intervalId) return this.context.state === 'running';
+
+    try {
+      this.context = this.context || new AudioContext();
+      if (this.context.state === 'suspended') {
+        this.context.resume();
+      }
+    } catch (error) {
+      console.warn('⚠️ Ringtone unavailable:', error);
+      return false;
+    }
+
+    this.ring();
+    this.intervalId = setInterval(() => this.ring(), 3000);
+    return this.context.state === 'running';
+  }
+
+  ring() {
+    const now = this.context.currentTime;
+    [0, 0.6].forEach(offset => {
+      const gain = this.context.createGain();
+      gain.gain.setValueAtTime(0.08, now + offset);
+      gain.gain.setValueAtTime(0, now + offset + 0.4);
+      gain.connect(this.context.destination);
+
+      [440, 480].forEach(frequency => {
+        const oscillator = this.context.createOscillator();
+        oscillator.frequency.value = frequency;
+        oscillator.connect(gain);
+        oscillator.start(now + offset);
+        oscillator.stop(now + offset + 0.4);
+      });
+    });
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+}
+
+class IncomingCallToast {
+  constructor({ onAnswer, onDecline, onVoicemail, onTimeout, timeoutMs = 45000, muted = false } = {}) {
+    this.handlers = { onAnswer, onDecline, onVoicemail, onTimeout };
+    this.timeoutMs = timeoutMs;
+    this.muted = muted;
+    this.ringtone = new Ringtone();
+    this.isSilent = false;
+    this.element = null;
+    this.call = null;
+    this.tickId = null;
+    this.timeoutId = null;
+  }
+
+  get isVisible() {
+    return Boolean(this.element);
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    if (muted) {
+      this.ringtone.stop();
+    } else if (this.isVisible) {
+      this.startRinging();
+    }
+  }
+
+  // A ringtone the browser won't play is made up for by a pulsing banner
+  startRinging() {
+    this.isSilent = !this.ringtone.start();
+    this.element.classList.toggle('silent', this.isSilent);
+  }
+
+  // call: { callerId, company, displayNumber, callId }
+  show(call) {
+    this.dismiss();
+    this.call = call;
+    this.startedAt = Date.now();
+
+    const toast = document.createElement('div');
+    toast.className = 'softphone-incoming-call';
+    toast.setAttribute('role', 'group');
+    this.element = toast;
+
+    const caller = document.createElement('div');
+    caller.className = 'softphone-incoming-caller';
+    this.callerElement = caller;
+    this.renderCaller();
+
+    const timer = document.createElement('div');
+    timer.className = 'softphone-incoming-timer';
+    timer.textContent = 'Ringing 0:00';
+
+    const actions = document.createElement('div');
+    actions.className = 'softphone-incoming-actions';
+    actions.appendChild(this.createButton('Answer', 'answer', 'onAnswer'));
+    actions.appendChild(this.createButton('Decline', 'decline', 'onDecline'));
+    actions.appendChild(this.createButton('Voicemail', 'voicemail', 'onVoicemail'));
+
+    toast.appendChild(caller);
+    toast.appendChild(timer);
+    toast.appendChild(actions);
+    document.body.appendChild(toast);
+
+    this.tickId = setInterval(() => {
+      const elapsed = Math.floor((Date.now() - this.startedAt) / 1000);
+      timer.textContent = `Ringing ${Math.floor(elapsed / 60)}:${String(elapsed % 60).padStart(2, '0')}`;
+    }, 1000);
+
+    this.timeoutId = setTimeout(() => {
+      const timedOutCall = this.call;
+      this.dismiss();
+      if (this.handlers.onTimeout) this.handlers.onTimeout(timedOutCall);
+    }, this.timeoutMs);
+
+    if (!this.muted) {
+      this.startRinging();
+    }
+  }
+
+  renderCaller() {
+    const call = this.call;
+    const caller = this.callerElement;
+    caller.textContent = '';
+
+    const name = document.createElement('div');
+    name.className = 'softphone-incoming-name';
+    name.textContent = call.callerId || call.displayNumber;
+    caller.appendChild(name);
+
+    const details = [call.company, call.callerId && call.callerId !== call.displayNumber ? call.displayNumber : null]
+      .filter(Boolean);
+    if (details.length) {
+      const number = document.createElement('div');
+      number.className = 'softphone-incoming-number';
+      number.textContent = details.join(' · ');
+      caller.appendChild(number);
+    }
+
+    this.element.setAttribute('aria-label', `Incoming call from ${call.callerId || call.displayNumber}`);
+  }
+
+  // The caller's name can arrive after the toast is up, from a contact lookup
+  updateCaller({ callerId, company = null }) {
+    if (!this.element) return;
+
+    this.call = { ...this.call, callerId, company };
+    this.renderCaller();
+  }
+
+  createButton(label, className, handlerName) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `softphone-incoming-button ${className}`;
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      const call = this.call;
+      this.dismiss();
+      if (this.handlers[handlerName]) this.handlers[handlerName](call);
+    });
+    return button;
+  }
+
+  dismiss() {
+    this.ringtone.stop();
+    this.isSilent = false;
+    clearInterval(this.tickId);
+    clearTimeout(this.timeoutId);
+    this.tickId = null;
+    this.timeoutId = null;
+
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+      this.callerElement = null;
+    }
+    this.call = null;
+  }
+}
@@ -0,0 +1,57 @@
+// Softphone actions that can be bound to keys. The same ids name the manifest
+// commands (browser-wide, rebound at chrome://extensions/shortcuts) and the
+// in-page bindings kept in settings.keyBindings.
+const SOFTPHONE_COMMANDS = {
+  'toggle-softphone': 'Open or close the softphone',
+  'close-softphone': 'Close the softphone',
+  'answer-call': 'Answer the incoming call',
+  'hang-up': 'Hang up or decline',
+  'toggle-mute': 'Mute or unmute',
+  'redial-last': 'Redial the last number'
+};
+
+const DEFAULT_KEY_BINDINGS = {
+  'toggle-softphone': 'Alt+Shift+S',
+  'close-softphone': 'Escape'
+};
+
+const KEY_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+// "Ctrl+Shift+P" style name for a keydown, or null for a lone modifier key
+function keyComboFromEvent(event) {
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
+
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+
+  // event.code keeps Alt/Shift combinations from turning into symbols
+  const key = /^Key[A-Z]$/.test(event.code) ? event.code.slice(3)
+    : /^Digit\d$/.test(event.code) ? event.code.slice(5)
+      : event.key.length === 1 ? event.key.toUpperCase() : event.key;
+  parts.push(key === ' ' ? 'Space' : key);
+
+  return parts.join('+');
+}
+
+// Puts hand-written combos such as "shift+ctrl+p" in keyComboFromEvent's form
+function normalizeKeyCombo(combo) {
+  if (!combo) return '';
+
+  const parts = String(combo).split('+').map(part => part.trim()).filter(Boolean);
+  const modifiers = KEY_MODIFIERS.filter(modifier =>
+    parts.some(part => part.toLowerCase() === modifier.toLowerCase() ||
+      (modifier === 'Ctrl' && part.toLowerCase() === 'control')));
+  const key = parts.find(part => !KEY_MODIFIERS.some(modifier => modifier.toLowerCase() === part.toLowerCase()) &&
+    part.toLowerCase() !== 'control');
+  if (!key) return '';
+
+  return [...modifiers, key.length === 1 ? key.toUpperCase() : key].join('+');
+}
+
+// True for combos that would get in the way of typing when pressed in a text field
+function isPlainKeyCombo(combo) {
+  return !/^(Ctrl|Alt|Meta)\+/.test(combo) && !/^(Escape|F\d{1,2})$/.test(combo);
+}
@@ -0,0 +1,196 @@
+// Wraps detected phone numbers in <span> elements by splitting text nodes. The
+// page's own nodes are never re-parsed as HTML, and every highlight can be
+// unwrapped back into the text node it came from.
+const HIGHLIGHT_CLASS = 'softphone-highlighted-number';
+const HIGHLIGHT_SKIP_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'OBJECT', 'TEXTAREA'];
+// The extension's own UI, which must never be scanned
+const HIGHLIGHT_IGNORE_SELECTOR = [
+  `.${HIGHLIGHT_CLASS}`,
+  '.softphone-widget-container',
+  '.softphone-incoming-call',
+  '.softphone-wrap-up',
+  '.softphone-campaign',
+  '.softphone-notification',
+  '.softphone-notification-region',
+  '.softphone-floating-button',
+  '.softphone-field-call-button',
+  '.softphone-call-bar'
+].join(', ');
+// styles.css doesn't reach into shadow roots, so they get their own copy
+const HIGHLIGHT_SHADOW_CSS = `.${HIGHLIGHT_CLASS} {
+  padding: 2px 4px;
+  border-radius: 4px;
+  cursor: pointer;
+  text-decoration: underline;
+  text-decoration-color: transparent;
+}
+.${HIGHLIGHT_CLASS}:focus-visible {
+  outline: 2px solid #1aa34a;
+  outline-offset: 1px;
+}`;
+
+class PhoneNumberHighlighter {
+  constructor(detector) {
+    this.detector = detector;
+    this.scannedNodes = new WeakSet();
+    this.fragments = new WeakSet(); // Text nodes split off a page node by us
+    this.splitOffNodes = new WeakMap(); // Page text node -> highlights and text split off it
+    this.shadowRoots = new Set(); // Open shadow roots we have walked into
+    this.shadowStyles = null;
+  }
+
+  acceptNode(node) {
+    const parent = node.parentElement;
+    if (!parent || this.scannedNodes.has(node)) {
+      return NodeFilter.FILTER_REJECT;
+    }
+
+    if (HIGHLIGHT_SKIP_TAGS.includes(parent.tagName) || parent.isContentEditable) {
+      return NodeFilter.FILTER_REJECT;
+    }
+
+    if (parent.closest(HIGHLIGHT_IGNORE_SELECTOR)) {
+      return NodeFilter.FILTER_REJECT;
+    }
+
+    return NodeFilter.FILTER_ACCEPT;
+  }
+
+  acceptElement(element) {
+    if (HIGHLIGHT_SKIP_TAGS.includes(element.tagName) || element.matches(HIGHLIGHT_IGNORE_SELECTOR)) {
+      return NodeFilter.FILTER_REJECT;
+    }
+    return NodeFilter.FILTER_ACCEPT;
+  }
+
+  // Yields the text nodes under root one at a time, including open shadow roots
+  // (Lightning and other web components), so a walk can be paused between
+  // nodes. Each shadow root found is passed to onShadowRoot.
+  *walkTextNodes(root, onShadowRoot = null) {
+    if (root.shadowRoot) {
+      yield* this.enterShadowRoot(root.shadowRoot, onShadowRoot);
+    }
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => node.nodeType === Node.TEXT_NODE ? this.acceptNode(node) : this.acceptElement(node)
+    });
+
+    let node;
+    while (node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        yield node;
+      } else if (node.shadowRoot) {
+        yield* this.enterShadowRoot(node.shadowRoot, onShadowRoot);
+      }
+    }
+  }
+
+  *enterShadowRoot(shadowRoot, onShadowRoot) {
+    if (!this.shadowRoots.has(shadowRoot)) {
+      this.shadowRoots.add(shadowRoot);
+      this.adoptStyles(shadowRoot);
+    }
+    if (onShadowRoot) onShadowRoot(shadowRoot);
+    yield* this.walkTextNodes(shadowRoot, onShadowRoot);
+  }
+
+  adoptStyles(shadowRoot) {
+    try {
+      if (!this.shadowStyles) {
+        this.shadowStyles = new CSSStyleSheet();
+        this.shadowStyles.replaceSync(HIGHLIGHT_SHADOW_CSS);
+      }
+      shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, this.shadowStyles];
+    } catch (error) {
+      console.warn('⚠️ Could not style highlights in a shadow root:', error);
+    }
+  }
+
+  createHighlight(number) {
+    const span = document.createElement('span');
+    span.className = HIGHLIGHT_CLASS;
+    span.dataset.softphoneNumber = number;
+    span.title = `Click to call ${number}, Shift+click to schedule a callback`;
+    // Reachable with Tab and announced as something to press
+    span.setAttribute('role', 'button');
+    span.setAttribute('aria-label', `Call ${number}`);
+    span.tabIndex = 0;
+    return span;
+  }
+
+  // Returns the number of highlights added
+  highlightTextNode(textNode) {
+    this.scannedNodes.add(textNode);
+    if (!textNode.isConnected) return 0;
+
+    return this.wrapMatches(textNode, this.detector.findAll(textNode.data));
+  }
+
+  // matches must come from the node's current text, in document order
+  wrapMatches(textNode, matches) {
+    this.scannedNodes.add(textNode);
+    const text = textNode.data;
+
+    // Work backwards so earlier offsets stay valid; the page's original node
+    // keeps the text before the first match.
+    const splitOff = this.splitOffNodes.get(textNode) || [];
+    for (let i = matches.length - 1; i >= 0; i--) {
+      const match = matches[i];
+      const suffix = textNode.splitText(match.index + match.length);
+      const numberNode = textNode.splitText(match.index);
+      this.scannedNodes.add(suffix);
+      this.fragments.add(suffix);
+      this.fragments.add(numberNode);
+
+      const highlight = this.createHighlight(text.substr(match.index, match.length));
+      numberNode.replaceWith(highlight);
+      highlight.appendChild(numberNode);
+      splitOff.push(highlight, suffix);
+    }
+    if (splitOff.length) this.splitOffNodes.set(textNode, splitOff);
+
+    return matches.length;
+  }
+
+  // A framework that rewrites the page's node (React, Angular) puts all of the
+  // new text in it, so whatever we split off it earlier is now stale
+  discardSplits(textNode) {
+    const splitOff = this.splitOffNodes.get(textNode);
+    if (!splitOff) return;
+
+    splitOff.forEach(node => node.remove());
+    this.splitOffNodes.delete(textNode);
+  }
+
+  // Puts the number back into the text node it was split from
+  unwrap(highlight) {
+    const parent = highlight.parentNode;
+    if (!parent) return;
+
+    const text = document.createTextNode(highlight.textContent);
+    parent.replaceChild(text, highlight);
+
+    const previous = text.previousSibling;
+    const target = previous && previous.nodeType === Node.TEXT_NODE ? previous : text;
+    if (target !== text) {
+      target.appendData(text.data);
+      text.remove();
+    }
+
+    const next = target.nextSibling;
+    if (next && next.nodeType === Node.TEXT_NODE && this.fragments.has(next)) {
+      target.appendData(next.data);
+      next.remove();
+    }
+
+    this.scannedNodes.delete(target);
+  }
+
+  removeAll() {
+    [document, ...this.shadowRoots].forEach(root => {
+      root.querySelectorAll(`.${HIGHLIGHT_CLASS}`).forEach(highlight => this.unwrap(highlight));
+    });
+    this.scannedNodes = new WeakSet();
+    this.splitOffNodes = new WeakMap();
+  }
+}
@@ -0,0 +1,335 @@
+// Incremental phone number scanning. Only the subtrees named in MutationObserver
+// records are rescanned, content far from the viewport waits for an
+// IntersectionObserver, and work is split into steps that fit a per-frame budget.
+const SCANNER_FRAME_BUDGET_MS = 8;
+const SCANNER_TEXT_SLICE = 2000; // Characters matched per step in long text nodes
+const SCANNER_SPLIT_LENGTH = 5000; // Larger subtrees are split into children before deferring
+const SCANNER_ROOT_MARGIN = '300px';
+
+class PageScanner {
+  // shouldHighlight is checked before each frame of work; onNodesAdded is called
+  // for every batch of mutations that added elements
+  constructor({ highlighter, detector, shouldHighlight, onNodesAdded, frameBudgetMs = SCANNER_FRAME_BUDGET_MS }) {
+    this.highlighter = highlighter;
+    this.detector = detector;
+    this.shouldHighlight = shouldHighlight;
+    this.onNodesAdded = onNodesAdded;
+    this.frameBudgetMs = frameBudgetMs;
+
+    this.mutationObserver = null;
+    this.intersectionObserver = null;
+    this.queue = [];
+    this.queued = new WeakSet();
+    this.observedRoots = new WeakSet();
+    this.walk = null; // Text nodes still to visit under the element being scanned
+    this.textJob = null; // A long text node being matched a slice at a time
+    this.frameId = null;
+    this.deferredCount = 0;
+    this.resetMetrics();
+  }
+
+  get isObserving() {
+    return Boolean(this.mutationObserver);
+  }
+
+  resetMetrics() {
+    this.metrics = {
+      frames: 0,
+      framesOverBudget: 0,
+      lastFrameMs: 0,
+      maxFrameMs: 0,
+      totalFrameMs: 0,
+      mutationRecords: 0,
+      elementsScanned: 0,
+      textNodesScanned: 0,
+      charactersScanned: 0,
+      highlightsAdded: 0
+    };
+  }
+
+  getMetrics() {
+    const { frames, totalFrameMs } = this.metrics;
+    return {
+      ...this.metrics,
+      averageFrameMs: frames ? totalFrameMs / frames : 0,
+      frameBudgetMs: this.frameBudgetMs,
+      queueLength: this.queue.length + (this.walk ? 1 : 0) + (this.textJob ? 1 : 0),
+      deferredElements: this.deferredCount
+    };
+  }
+
+  start(root) {
+    if (this.mutationObserver) return;
+
+    this.mutationObserver = new MutationObserver(mutations => this.handleMutations(mutations));
+    this.observedRoots = new WeakSet();
+    this.observeRoot(root);
+
+    if (window.IntersectionObserver) {
+      this.intersectionObserver = new IntersectionObserver(
+        entries => this.handleIntersections(entries),
+        { rootMargin: SCANNER_ROOT_MARGIN }
+      );
+    }
+  }
+
+  // Called for the document and for every open shadow root the highlighter finds
+  observeRoot(root) {
+    if (!this.mutationObserver || this.observedRoots.has(root)) return;
+
+    this.observedRoots.add(root);
+    this.mutationObserver.observe(root, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+  }
+
+  stop() {
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+    this.cancel();
+  }
+
+  // Drops all pending work without touching existing highlights
+  cancel() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+    }
+    this.queue = [];
+    this.queued = new WeakSet();
+    this.walk = null;
+    this.textJob = null;
+    this.deferredCount = 0;
+  }
+
+  // Removes every highlight; the resulting text changes are not rescanned
+  clear() {
+    this.cancel();
+    this.highlighter.removeAll();
+    this.discardOwnMutations();
+  }
+
+  isIgnored(element) {
+    return Boolean(element.closest(HIGHLIGHT_IGNORE_SELECTOR));
+  }
+
+  // Splitting and merging text nodes produces records of its own
+  discardOwnMutations() {
+    if (this.mutationObserver) {
+      this.mutationObserver.takeRecords();
+    }
+  }
+
+  handleMutations(mutations) {
+    this.metrics.mutationRecords += mutations.length;
+    let addedElements = false;
+
+    for (const mutation of mutations) {
+      if (mutation.type === 'characterData') {
+        const parent = mutation.target.parentElement;
+        if (!parent || this.isIgnored(parent)) continue;
+        this.highlighter.discardSplits(mutation.target);
+        this.highlighter.scannedNodes.delete(mutation.target);
+        this.enqueue(mutation.target);
+        continue;
+      }
+
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          if (this.isIgnored(node)) continue;
+          addedElements = true;
+          this.scan(node);
+        } else if (node.nodeType === Node.TEXT_NODE) {
+          this.enqueue(node);
+        }
+      }
+    }
+
+    if (addedElements && this.onNodesAdded) {
+      this.onNodesAdded();
+    }
+  }
+
+  // Queues a subtree for scanning once it is near the viewport
+  scan(root) {
+    if (!this.shouldHighlight()) return;
+
+    if (root.nodeType !== Node.ELEMENT_NODE) {
+      this.enqueue(root);
+      return;
+    }
+
+    if (!this.intersectionObserver) {
+      this.enqueue(root);
+      return;
+    }
+
+    this.defer(root);
+  }
+
+  // Big subtrees (long tables, feeds) are split so each row or block is only
+  // scanned when it scrolls into view
+  defer(element) {
+    if (element.childElementCount > 0 && element.textContent.length > SCANNER_SPLIT_LENGTH) {
+      for (const child of element.childNodes) {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          this.defer(child);
+        } else if (child.nodeType === Node.TEXT_NODE) {
+          this.enqueue(child);
+        }
+      }
+      return;
+    }
+
+    this.deferredCount++;
+    this.intersectionObserver.observe(element);
+  }
+
+  handleIntersections(entries) {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+
+      this.intersectionObserver.unobserve(entry.target);
+      this.deferredCount = Math.max(0, this.deferredCount - 1);
+      this.enqueue(entry.target);
+    });
+  }
+
+  enqueue(node) {
+    if (this.queued.has(node)) return;
+
+    this.queued.add(node);
+    this.queue.push(node);
+    this.scheduleFrame();
+  }
+
+  scheduleFrame() {
+    if (this.frameId) return;
+    this.frameId = requestAnimationFrame(() => this.runFrame());
+  }
+
+  runFrame() {
+    this.frameId = null;
+    if (!this.shouldHighlight()) {
+      this.cancel();
+      return;
+    }
+
+    const startedAt = performance.now();
+    const deadline = startedAt + this.frameBudgetMs;
+
+    while (this.hasWork() && performance.now() < deadline) {
+      if (this.textJob) {
+        this.continueTextJob();
+        continue;
+      }
+      if (this.walk) {
+        this.continueWalk();
+        continue;
+      }
+
+      const node = this.queue.shift();
+      this.queued.delete(node);
+      this.processNode(node);
+    }
+
+    this.discardOwnMutations();
+    this.recordFrame(performance.now() - startedAt);
+
+    if (this.hasWork()) {
+      this.scheduleFrame();
+    }
+  }
+
+  hasWork() {
+    return Boolean(this.textJob || this.walk || this.queue.length);
+  }
+
+  recordFrame(duration) {
+    const metrics = this.metrics;
+    metrics.frames++;
+    metrics.lastFrameMs = duration;
+    metrics.totalFrameMs += duration;
+    metrics.maxFrameMs = Math.max(metrics.maxFrameMs, duration);
+    if (duration > this.frameBudgetMs) {
+      metrics.framesOverBudget++;
+    }
+  }
+
+  processNode(node) {
+    if (!node.isConnected) return;
+
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (this.highlighter.acceptNode(node) === NodeFilter.FILTER_ACCEPT) {
+        this.processTextNode(node);
+      }
+      return;
+    }
+
+    if (this.isIgnored(node)) return;
+
+    // Walked one text node per step so a large subtree spreads over several frames
+    this.metrics.elementsScanned++;
+    this.walk = this.highlighter.walkTextNodes(node, shadowRoot => this.observeRoot(shadowRoot));
+  }
+
+  continueWalk() {
+    const { value: textNode, done } = this.walk.next();
+    if (done) {
+      this.walk = null;
+      return;
+    }
+    this.processTextNode(textNode);
+  }
+
+  processTextNode(textNode) {
+    const text = textNode.data;
+    this.metrics.textNodesScanned++;
+
+    if (text.length <= SCANNER_TEXT_SLICE) {
+      this.metrics.charactersScanned += text.length;
+      this.metrics.highlightsAdded += this.highlighter.highlightTextNode(textNode);
+      return;
+    }
+
+    this.highlighter.scannedNodes.add(textNode);
+    this.textJob = { node: textNode, text, offset: 0, resumeAt: 0, matches: [] };
+  }
+
+  continueTextJob() {
+    const job = this.textJob;
+    const end = Math.min(job.offset + SCANNER_TEXT_SLICE, job.text.length);
+
+    // A match can run past the end of its slice; don't match inside it again
+    const from = Math.max(job.offset, job.resumeAt);
+    if (from < end) {
+      const matches = this.detector.findInRange(job.text, from, end);
+      if (matches.length) {
+        const last = matches[matches.length - 1];
+        job.resumeAt = last.index + last.length;
+        job.matches.push(...matches);
+      }
+    }
+    this.metrics.charactersScanned += end - job.offset;
+    job.offset = end;
+
+    if (job.offset < job.text.length) return;
+
+    this.textJob = null;
+    // If the text changed meanwhile, the characterData record queues it again
+    if (job.node.isConnected && job.node.data === job.text) {
+      this.metrics.highlightsAdded += this.highlighter.wrapMatches(job.node, job.matches);
+    }
+  }
+}
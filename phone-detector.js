@@ -0,0 +1,193 @@
+// Country-aware phone number detection shared by highlighting, click handling and validation.
+const PHONE_SEPARATOR = '[\\s.\\-]?';
+
+const COUNTRY_PROFILES = {
+  IN: {
+    name: 'India',
+    callingCode: '91',
+    trunkPrefix: '0',
+    internationalPrefix: '00',
+    nationalLengths: [10, 11],
+    displayGroups: { 10: [5, 5], 11: [4, 3, 4] },
+    patterns: [
+      // Mobile: 98765 43210, 987-654-3210, +91 9876543210, 09876543210
+      `(?:(?:\\+|00)91${PHONE_SEPARATOR}|0)?[6-9]\\d{4}[\\s.\\-]\\d{5}`,
+      `(?:(?:\\+|00)91${PHONE_SEPARATOR}|0)?[6-9]\\d{2}[\\s.\\-]\\d{3}[\\s.\\-]\\d{4}`,
+      `(?:(?:\\+|00)91${PHONE_SEPARATOR}|0)[6-9]\\d{9}`,
+      // A bare 9876543210, but not ten digits cut out of a longer ID
+      `(?<![\\d+])[6-9]\\d{9}(?!\\d)`,
+      // Toll-free: 1800 123 4567, 1860-500-1234
+      `1(?:800|860)${PHONE_SEPARATOR}\\d{2,3}${PHONE_SEPARATOR}\\d{3,4}`,
+      // Landline with STD code: 011-23456789, (080) 4123 4567, +91 (80) 4123 4567
+      `(?:(?:\\+|00)91${PHONE_SEPARATOR}(?:\\([1-9]\\d{1,3}\\)|[1-9]\\d{1,3})|\\(0[1-9]\\d{1,3}\\)|0[1-9]\\d{1,3})${PHONE_SEPARATOR}\\d{3,4}${PHONE_SEPARATOR}\\d{3,4}`
+    ]
+  },
+  US: {
+    name: 'United States / Canada',
+    callingCode: '1',
+    trunkPrefix: '1',
+    internationalPrefix: '011',
+    nationalLengths: [10],
+    displayGroups: { 10: [3, 3, 4] },
+    patterns: [
+      // (555) 123-4567, 555.123.4567, +1 555 123 4567, 1-800-555-0199
+      `(?:(?:\\+|00|011)?1${PHONE_SEPARATOR})?\\(?[2-9]\\d{2}\\)?${PHONE_SEPARATOR}[2-9]\\d{2}${PHONE_SEPARATOR}\\d{4}`
+    ]
+  },
+  GB: {
+    name: 'United Kingdom',
+    callingCode: '44',
+    trunkPrefix: '0',
+    internationalPrefix: '00',
+    nationalLengths: [9, 10],
+    // 20 7946 0958, 7700 900123, 1632 960123, 800 123 4567
+    displayGroups: {
+      9: { 8: [3, 6], default: [4, 5] },
+      10: { 2: [2, 4, 4], 3: [3, 3, 4], 8: [3, 3, 4], 9: [3, 3, 4], default: [4, 6] }
+    },
+    patterns: [
+      // 020 7946 0958, 07700 900123, +44 (0)20 7946 0958, 0800 123 4567
+      `(?:(?:\\+|00)44${PHONE_SEPARATOR}(?:\\(0\\)${PHONE_SEPARATOR})?|0)\\(?[1-9]\\d{1,4}\\)?${PHONE_SEPARATOR}\\d{3,4}${PHONE_SEPARATOR}\\d{3,4}`
+    ]
+  },
+  DE: {
+    name: 'Germany',
+    callingCode: '49',
+    trunkPrefix: '0',
+    internationalPrefix: '00',
+    nationalLengths: [6, 7, 8, 9, 10, 11],
+    displayGroups: {},
+    patterns: [
+      // 030 12345678, 0171 1234567, +49 (0)89 123456-78
+      `(?:(?:\\+|00)49${PHONE_SEPARATOR}(?:\\(0\\)${PHONE_SEPARATOR})?|0)\\(?[1-9]\\d{1,4}\\)?[\\s/\\-]?\\d{3,8}(?:[\\s\\-]\\d{1,5})?`
+    ]
+  },
+  FR: {
+    name: 'France',
+    callingCode: '33',
+    trunkPrefix: '0',
+    internationalPrefix: '00',
+    nationalLengths: [9],
+    displayGroups: { 9: [1, 2, 2, 2, 2] },
+    patterns: [
+      // 01 23 45 67 89, +33 6 12 34 56 78
+      `(?:(?:\\+|00)33${PHONE_SEPARATOR}(?:\\(0\\)${PHONE_SEPARATOR})?|0)[1-9](?:${PHONE_SEPARATOR}\\d{2}){4}`
+    ]
+  },
+  ES: {
+    name: 'Spain',
+    callingCode: '34',
+    trunkPrefix: '',
+    internationalPrefix: '00',
+    nationalLengths: [9],
+    displayGroups: { 9: [3, 3, 3] },
+    patterns: [
+      // 612 345 678, 91 123 45 67, +34 612345678
+      `(?:(?:\\+|00)34${PHONE_SEPARATOR})?[6-9]\\d{2}${PHONE_SEPARATOR}\\d{3}${PHONE_SEPARATOR}\\d{3}`,
+      `(?:(?:\\+|00)34${PHONE_SEPARATOR})?[89]\\d${PHONE_SEPARATOR}\\d{3}${PHONE_SEPARATOR}\\d{2}${PHONE_SEPARATOR}\\d{2}`
+    ]
+  }
+};
+
+const DEFAULT_COUNTRY = 'IN';
+
+// Any explicitly international number, e.g. +49 30 1234567 or +1 (555) 123-4567
+const INTERNATIONAL_PATTERN = `\\+[1-9]\\d{0,3}(?:${PHONE_SEPARATOR}\\(?\\d{1,5}\\)?){1,5}`;
+
+const EXTENSION_PATTERN = /^\s*,?\s*(?:x|ext\.?|extn\.?|extension)\s*[:.]?\s*(\d{1,6})(?!\d)/i;
+
+function splitPhoneExtension(text) {
+  const value = text.trim();
+  const extIndex = value.search(/\s*,?\s*(?:x|ext\.?|extn\.?|extension)\s*[:.]?\s*\d{1,6}$/i);
+  if (extIndex <= 0) {
+    return { base: value, extension: null };
+  }
+
+  return {
+    base: value.substring(0, extIndex),
+    extension: value.substring(extIndex).replace(/\D/g, '')
+  };
+}
+
+class PhoneNumberDetector {
+  constructor(countryCode = DEFAULT_COUNTRY) {
+    this.minDigits = 7;
+    this.maxDigits = 15;
+    this.setCountry(countryCode);
+  }
+
+  static getCountries() {
+    return Object.keys(COUNTRY_PROFILES).map(code => ({
+      code,
+      name: COUNTRY_PROFILES[code].name
+    }));
+  }
+
+  setCountry(countryCode) {
+    this.countryCode = COUNTRY_PROFILES[countryCode] ? countryCode : DEFAULT_COUNTRY;
+    this.profile = COUNTRY_PROFILES[this.countryCode];
+
+    const alternatives = [INTERNATIONAL_PATTERN, ...this.profile.patterns]
+      .map(pattern => `(?:${pattern})`)
+      .join('|');
+    const core = `(?<![\\w+])(?:${alternatives})(?!\\d|[.,]\\d)`;
+
+    this.regex = new RegExp(core, 'g');
+    this.exactRegex = new RegExp(`^${core}$`);
+  }
+
+  countDigits(text) {
+    return text.replace(/\D/g, '').length;
+  }
+
+  // Returns every number in the text as { number, index, length, extension }.
+  // `number` is the matched text including any extension suffix.
+  findAll(text) {
+    if (!text) return [];
+    return this.findInRange(text, 0, text.length);
+  }
+
+  // Matches that start between start and end. The whole text stays visible to
+  // the pattern, so a long string can be scanned a slice at a time.
+  findInRange(text, start, end) {
+    const results = [];
+    this.regex.lastIndex = start;
+
+    let match;
+    while ((match = this.regex.exec(text)) && match.index < end) {
+      const digits = this.countDigits(match[0]);
+      if (digits < this.minDigits || digits > this.maxDigits) continue;
+
+      let length = match[0].length;
+      let extension = null;
+
+      const tail = text.substr(match.index + length, 40);
+      const extMatch = tail.match(EXTENSION_PATTERN);
+      if (extMatch) {
+        extension = extMatch[1];
+        length += extMatch[0].length;
+      }
+
+      results.push({
+        number: text.substr(match.index, length),
+        index: match.index,
+        length,
+        extension
+      });
+    }
+
+    return results;
+  }
+
+  // True when the whole string is a single phone number in the active profile
+  // (or international) format, optionally followed by an extension.
+  isValid(text) {
+    if (!text) return false;
+
+    const { base } = splitPhoneExtension(text);
+    const digits = this.countDigits(base);
+    if (digits < this.minDigits || digits > this.maxDigits) return false;
+
+    return this.exactRegex.test(base);
+  }
+}
@@ -0,0 +1,134 @@
+// Turns detected or typed numbers into canonical E.164 plus a separate display form.
+class PhoneNormalizer {
+  constructor(countryCode = DEFAULT_COUNTRY) {
+    this.setCountry(countryCode);
+  }
+
+  setCountry(countryCode) {
+    this.countryCode = COUNTRY_PROFILES[countryCode] ? countryCode : DEFAULT_COUNTRY;
+    this.profile = COUNTRY_PROFILES[this.countryCode];
+  }
+
+  // Returns { e164, extension, display, country } or null when the input
+  // cannot be turned into a valid E.164 number.
+  normalize(phoneNumber) {
+    if (!phoneNumber || typeof phoneNumber !== 'string') return null;
+
+    const { base, extension } = splitPhoneExtension(phoneNumber.replace(/^tel:/i, ''));
+    const { internationalPrefix } = this.profile;
+
+    // "+44 (0)20 7946 0958": the bracketed trunk is only for dialling nationally
+    const written = base.replace(new RegExp(`^((?:\\+|${internationalPrefix})\\s*[1-9]\\d{0,2})[\\s.\\-]*\\(0\\)`), '$1 ');
+    const digits = written.replace(/\D/g, '');
+    if (!digits) return null;
+
+    let e164 = null;
+
+    if (written.startsWith('+')) {
+      e164 = `+${this.dropTrunkPrefix(digits)}`;
+    } else if (internationalPrefix && digits.startsWith(internationalPrefix)) {
+      e164 = `+${this.dropTrunkPrefix(digits.substring(internationalPrefix.length))}`;
+    } else {
+      const national = this.toNationalNumber(digits);
+      if (national) {
+        e164 = `+${this.profile.callingCode}${national}`;
+      }
+    }
+
+    if (!e164 || !/^\+[1-9]\d{6,14}$/.test(e164)) return null;
+
+    return {
+      e164,
+      extension,
+      display: this.formatForDisplay(e164, extension),
+      country: this.findCountryForE164(e164)
+    };
+  }
+
+  toNationalNumber(digits) {
+    const { callingCode, trunkPrefix, nationalLengths } = this.profile;
+    const isValidLength = (value) => nationalLengths.includes(value.length);
+
+    if (trunkPrefix && digits.startsWith(trunkPrefix)) {
+      const withoutTrunk = digits.substring(trunkPrefix.length);
+      if (isValidLength(withoutTrunk)) return withoutTrunk;
+    }
+
+    if (isValidLength(digits)) return digits;
+
+    // Country code written without the leading "+", e.g. 919876543210
+    if (digits.startsWith(callingCode)) {
+      const withoutCode = digits.substring(callingCode.length);
+      if (isValidLength(withoutCode)) return withoutCode;
+    }
+
+    return null;
+  }
+
+  // digits: country code onwards. Drops a trunk digit written after a known
+  // country code, e.g. +49 089 1234567
+  dropTrunkPrefix(digits) {
+    const country = this.findCountryForE164(`+${digits}`);
+    if (!country) return digits;
+
+    const { callingCode, trunkPrefix } = COUNTRY_PROFILES[country];
+    const national = digits.substring(callingCode.length);
+    return trunkPrefix && national.startsWith(trunkPrefix)
+      ? callingCode + national.substring(trunkPrefix.length)
+      : digits;
+  }
+
+  findCountryForE164(e164) {
+    const digits = e164.substring(1);
+    const codes = Object.keys(COUNTRY_PROFILES)
+      .filter(code => digits.startsWith(COUNTRY_PROFILES[code].callingCode))
+      .sort((a, b) => COUNTRY_PROFILES[b].callingCode.length - COUNTRY_PROFILES[a].callingCode.length);
+
+    if (codes.includes(this.countryCode)) return this.countryCode;
+    return codes[0] || null;
+  }
+
+  formatForDisplay(e164, extension = null) {
+    const country = this.findCountryForE164(e164);
+    let display = e164;
+
+    if (country) {
+      const { callingCode, displayGroups } = COUNTRY_PROFILES[country];
+      const national = e164.substring(callingCode.length + 1);
+      const groups = this.displayGroupsFor(displayGroups, national);
+      let formatted = national;
+
+      if (groups) {
+        let offset = 0;
+        formatted = groups.map(size => {
+          const part = national.substr(offset, size);
+          offset += size;
+          return part;
+        }).join(' ');
+      }
+
+      display = `+${callingCode} ${formatted}`;
+    }
+
+    return extension ? `${display} ext. ${extension}` : display;
+  }
+
+  // displayGroups maps a national length to group sizes, or to sizes keyed by
+  // leading digits (with a default) where the length alone isn't enough
+  displayGroupsFor(displayGroups, national) {
+    const groups = displayGroups[national.length];
+    if (!groups || Array.isArray(groups)) return groups || null;
+
+    const prefix = Object.keys(groups)
+      .filter(key => key !== 'default' && national.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return groups[prefix] || groups.default || null;
+  }
+
+  // Same number regardless of formatting, e.g. "098765 43210" and "+91 98765-43210"
+  isSameNumber(a, b) {
+    const first = this.normalize(a);
+    const second = this.normalize(b);
+    return Boolean(first && second && first.e164 === second.e164 && first.extension === second.extension);
+  }
+}
@@ -0,0 +1,940 @@
+const SITE_RULE_LABELS = {
+  enabled: 'Softphone',
+  highlightNumbers: 'Highlights',
+  autoDetect: 'Click to call',
+  showFloatingButton: 'Button'
+};
+
+class PopupController {
+  constructor() {
+    this.tabId = null;
+    this.connectionProfiles = new ConnectionProfiles();
+    this.siteRules = new SiteRules();
+    this.phoneNormalizer = new PhoneNormalizer();
+    this.addressBook = new AddressBook(this.phoneNormalizer);
+    this.callbackSchedule = new CallbackSchedule();
+    this.callHistory = new CallHistoryStore();
+    this.callbackContext = null; // Contact and page of the history entry a new callback follows up on
+    this.elements = {
+      enabledToggle: document.getElementById('enabled-toggle'),
+      unavailable: document.getElementById('unavailable-message'),
+      pageSections: document.querySelectorAll('[data-needs-page]'),
+      quickDialForm: document.getElementById('quick-dial-form'),
+      quickDialInput: document.getElementById('quick-dial-input'),
+      addContact: document.getElementById('add-contact'),
+      contactForm: document.getElementById('contact-form'),
+      contactError: document.getElementById('contact-error'),
+      cancelContact: document.getElementById('cancel-contact'),
+      contactSearch: document.getElementById('contact-search'),
+      contactList: document.getElementById('contact-list'),
+      contactImport: document.getElementById('contact-import'),
+      contactImportResult: document.getElementById('contact-import-result'),
+      contactExportButtons: document.querySelectorAll('[data-contact-export]'),
+      startCampaign: document.getElementById('start-campaign'),
+      campaignError: document.getElementById('campaign-error'),
+      addCallback: document.getElementById('add-callback'),
+      callbackForm: document.getElementById('callback-form'),
+      callbackError: document.getElementById('callback-error'),
+      cancelCallback: document.getElementById('cancel-callback'),
+      callbackList: document.getElementById('callback-list'),
+      countrySelect: document.getElementById('country-select'),
+      profileSelect: document.getElementById('profile-select'),
+      profileLocked: document.getElementById('profile-locked'),
+      profileManager: document.getElementById('profile-manager'),
+      profileList: document.getElementById('profile-list'),
+      profileForm: document.getElementById('profile-form'),
+      profileError: document.getElementById('profile-error'),
+      shortcutList: document.getElementById('shortcut-list'),
+      editShortcuts: document.getElementById('edit-shortcuts'),
+      keyBindingList: document.getElementById('key-binding-list'),
+      siteRuleForm: document.getElementById('site-rule-form'),
+      siteRulePattern: document.getElementById('site-rule-pattern'),
+      siteRuleFeatures: document.querySelectorAll('[data-site-feature]'),
+      siteRuleList: document.getElementById('site-rule-list'),
+      siteRuleError: document.getElementById('site-rule-error'),
+      contactLookupForm: document.getElementById('contact-lookup-form'),
+      contactLookupError: document.getElementById('contact-lookup-error'),
+      settingToggles: document.querySelectorAll('[data-setting]'),
+      retentionSelect: document.getElementById('retention-select'),
+      dispositionCodes: document.getElementById('disposition-codes'),
+      historySearch: document.getElementById('history-search'),
+      historyDirection: document.getElementById('history-direction'),
+      historyOutcome: document.getElementById('history-outcome'),
+      recentCalls: document.getElementById('recent-calls'),
+      clearHistory: document.getElementById('clear-history'),
+      exportFrom: document.getElementById('export-from'),
+      exportTo: document.getElementById('export-to'),
+      exportButtons: document.querySelectorAll('[data-export]')
+    };
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      this.tabId = tab ? tab.id : null;
+
+      // Without a content script only the page controls go; everything else is in storage
+      const status = await this.sendToTab({ action: 'getStatus' });
+      const { softphoneSettings: settings = {} } = await chrome.storage.sync.get(['softphoneSettings']);
+
+      this.renderCountries();
+      this.renderHistoryFilters();
+      if (status) {
+        this.renderStatus(status);
+      } else {
+        this.showUnavailable();
+      }
+      if (settings.defaultCountry) {
+        this.phoneNormalizer.setCountry(settings.defaultCountry);
+      }
+      this.callHistory.configure({
+        retentionDays: settings.historyRetentionDays,
+        maxEntries: settings.historyMaxEntries
+      });
+      await this.addressBook.load();
+      this.renderContacts();
+      await this.callbackSchedule.load();
+      this.renderCallbacks();
+      await this.connectionProfiles.load();
+      this.renderProfiles();
+      await this.renderShortcuts();
+      this.renderKeyBindings(settings.keyBindings || DEFAULT_KEY_BINDINGS);
+      await this.siteRules.load();
+      this.renderSiteRuleOptions();
+      this.elements.siteRulePattern.value = status ? status.hostname || '' : '';
+      this.fillSiteRuleForm();
+      this.renderSiteRules();
+      await this.renderContactLookup();
+      this.setupEventListeners();
+      await this.loadRecentCalls();
+    } catch (error) {
+      console.error('Popup initialization error:', error);
+      this.showUnavailable();
+    }
+  }
+
+  // Resolves to null when the page has no content script (chrome:// pages, the web store, etc.)
+  async sendToTab(message) {
+    if (this.tabId === null) return null;
+
+    try {
+      return await chrome.tabs.sendMessage(this.tabId, message);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  showUnavailable() {
+    this.elements.unavailable.hidden = false;
+    this.elements.pageSections.forEach(section => {
+      section.hidden = true;
+    });
+    this.elements.enabledToggle.disabled = true;
+  }
+
+  renderCountries() {
+    const select = this.elements.countrySelect;
+    PhoneNumberDetector.getCountries().forEach(({ code, name }) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+  }
+
+  renderContacts() {
+    const list = this.elements.contactList;
+    const contacts = this.addressBook.search(this.elements.contactSearch.value);
+    list.textContent = '';
+
+    if (!contacts.length) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = this.addressBook.contacts.length ? 'No matching contacts' : 'No contacts yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    contacts.slice(0, 50).forEach(contact => {
+      const item = document.createElement('li');
+
+      const heading = document.createElement('div');
+      heading.className = 'contact-heading';
+
+      const name = document.createElement('span');
+      name.className = 'contact-name';
+      name.textContent = contact.name;
+      name.title = contact.notes;
+
+      const edit = document.createElement('button');
+      edit.type = 'button';
+      edit.className = 'popup-link';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => this.showContactForm(contact));
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'popup-link';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', async () => {
+        await this.addressBook.remove(contact.id);
+        this.renderContacts();
+      });
+
+      heading.appendChild(name);
+      heading.appendChild(edit);
+      heading.appendChild(remove);
+      item.appendChild(heading);
+
+      const meta = [contact.company, contact.tags.join(', ')].filter(Boolean).join(' · ');
+      if (meta) {
+        const details = document.createElement('div');
+        details.className = 'contact-meta';
+        details.textContent = meta;
+        item.appendChild(details);
+      }
+
+      const phones = document.createElement('div');
+      phones.className = 'contact-phones';
+      contact.phones.forEach(phone => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'contact-phone';
+        const display = this.phoneNormalizer.formatForDisplay(phone.e164, phone.extension);
+        button.textContent = phone.label ? `${phone.label} ${display}` : display;
+        button.title = `Call ${contact.name}`;
+        button.addEventListener('click', () => {
+          this.dial(phone.extension ? `${phone.e164} ext. ${phone.extension}` : phone.e164);
+        });
+        phones.appendChild(button);
+      });
+      item.appendChild(phones);
+
+      list.appendChild(item);
+    });
+  }
+
+  showContactForm(contact = null) {
+    const form = this.elements.contactForm;
+    form.reset();
+    this.elements.contactError.hidden = true;
+
+    if (contact) {
+      form.elements.id.value = contact.id;
+      form.elements.name.value = contact.name;
+      form.elements.company.value = contact.company;
+      form.elements.phones.value = contact.phones.map(phone => {
+        const number = phone.extension ? `${phone.e164} ext. ${phone.extension}` : phone.e164;
+        return phone.label ? `${phone.label}: ${number}` : number;
+      }).join('\n');
+      form.elements.tags.value = contact.tags.join(', ');
+      form.elements.notes.value = contact.notes;
+    }
+
+    form.hidden = false;
+    form.elements.name.focus();
+  }
+
+  async saveContact() {
+    const form = this.elements.contactForm;
+    const data = Object.fromEntries(new FormData(form).entries());
+
+    try {
+      this.elements.contactError.hidden = true;
+      await this.addressBook.save({
+        id: data.id || null,
+        name: data.name,
+        company: data.company,
+        phones: data.phones.split('\n').filter(line => line.trim()).map(line => AddressBook.parsePhoneText(line)),
+        tags: data.tags.split(','),
+        notes: data.notes
+      });
+      form.hidden = true;
+      this.renderContacts();
+    } catch (error) {
+      this.elements.contactError.textContent = error.message;
+      this.elements.contactError.hidden = false;
+    }
+  }
+
+  async importContacts(file) {
+    const result = this.elements.contactImportResult;
+
+    try {
+      const { added, merged, skipped } = await this.addressBook.importFile(file.name, await file.text());
+      result.textContent = `Imported ${added} new, merged ${merged} into existing contacts` +
+        (skipped ? `, skipped ${skipped} without a usable number` : '');
+    } catch (error) {
+      result.textContent = `Import failed: ${error.message}`;
+    }
+
+    result.hidden = false;
+    this.elements.contactImport.value = '';
+    this.renderContacts();
+  }
+
+  async startCampaign() {
+    const response = await this.sendToTab({ action: 'startCampaign' });
+    if (response && response.success) {
+      window.close();
+      return;
+    }
+
+    this.elements.campaignError.textContent = response ? response.error : 'The softphone isn\'t available on this page';
+    this.elements.campaignError.hidden = false;
+  }
+
+  renderCallbacks() {
+    const list = this.elements.callbackList;
+    const callbacks = this.callbackSchedule.upcoming();
+    list.textContent = '';
+
+    if (!callbacks.length) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = 'No callbacks scheduled';
+      list.appendChild(empty);
+      return;
+    }
+
+    callbacks.forEach(callback => {
+      const item = document.createElement('li');
+
+      const heading = document.createElement('div');
+      heading.className = 'contact-heading';
+
+      const name = document.createElement('span');
+      name.className = 'contact-name';
+      name.textContent = callback.contactName || callback.displayNumber;
+      name.title = [callback.company, callback.pageTitle].filter(Boolean).join(' · ');
+
+      const actions = [
+        ['Edit', () => this.showCallbackForm(callback)],
+        ['Snooze', () => this.callbackSchedule.snooze(callback.id)],
+        ['Remove', () => this.callbackSchedule.remove(callback.id)]
+      ];
+      heading.appendChild(name);
+      actions.forEach(([label, action]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'popup-link';
+        button.textContent = label;
+        button.addEventListener('click', action);
+        heading.appendChild(button);
+      });
+      item.appendChild(heading);
+
+      const due = new Date(callback.dueAt);
+      const details = document.createElement('div');
+      details.className = `contact-meta${due.getTime() <= Date.now() ? ' overdue' : ''}`;
+      details.textContent = [due.toLocaleString(), callback.note].filter(Boolean).join(' · ');
+      item.appendChild(details);
+
+      const call = document.createElement('button');
+      call.type = 'button';
+      call.className = 'contact-phone';
+      call.textContent = `Call ${callback.displayNumber} now`;
+      call.addEventListener('click', () => this.callBack(callback));
+      item.appendChild(call);
+
+      list.appendChild(item);
+    });
+  }
+
+  // callback: one to edit; context: a history entry to follow up on
+  showCallbackForm(callback = null, context = null) {
+    const form = this.elements.callbackForm;
+    form.reset();
+    this.elements.callbackError.hidden = true;
+    this.callbackContext = null;
+
+    let due = new Date(Date.now() + CALLBACK_DEFAULT_DELAY_MINUTES * 60000);
+    if (callback) {
+      form.elements.id.value = callback.id;
+      form.elements.number.value = CallbackSchedule.dialString(callback);
+      form.elements.note.value = callback.note;
+      due = new Date(callback.dueAt);
+    } else if (context) {
+      this.callbackContext = {
+        contactName: context.contactName,
+        company: context.company,
+        pageUrl: context.pageUrl,
+        pageTitle: context.pageTitle,
+        historyEntryId: context.id
+      };
+      form.elements.number.value = context.extension ? `${context.number} ext. ${context.extension}` : context.number;
+      form.elements.note.value = context.notes || '';
+    }
+    form.elements.dueAt.value = toLocalDateTimeValue(due);
+
+    form.hidden = false;
+    form.scrollIntoView({ block: 'nearest' });
+    form.elements.dueAt.focus();
+  }
+
+  async saveCallback() {
+    const form = this.elements.callbackForm;
+    const data = Object.fromEntries(new FormData(form).entries());
+    const normalized = this.phoneNormalizer.normalize(data.number);
+    const existing = data.id ? this.callbackSchedule.find(data.id) : null;
+
+    // An edit keeps its contact unless the number changed; otherwise try the address book
+    let contact = this.callbackContext;
+    if (!contact && !(existing && normalized && existing.number === normalized.e164)) {
+      const found = normalized ? this.addressBook.findByNumber(normalized.e164) : null;
+      contact = { contactName: found ? found.name : null, company: found ? found.company || null : null };
+    }
+
+    try {
+      this.elements.callbackError.hidden = true;
+      await this.callbackSchedule.schedule({
+        ...(contact || {}),
+        id: data.id || null,
+        number: normalized ? normalized.e164 : null,
+        extension: normalized ? normalized.extension : null,
+        displayNumber: normalized ? normalized.display : null,
+        dueAt: data.dueAt && new Date(data.dueAt),
+        note: data.note
+      });
+      form.hidden = true;
+      this.callbackContext = null;
+    } catch (error) {
+      this.elements.callbackError.textContent = error.message;
+      this.elements.callbackError.hidden = false;
+    }
+  }
+
+  // Dials from the page the callback was scheduled on, then takes it off the list
+  async callBack(callback) {
+    const placed = await this.dial(CallbackSchedule.dialString(callback), {
+      source: callback.pageUrl ? { url: callback.pageUrl, title: callback.pageTitle } : null,
+      contact: callback.contactName ? { name: callback.contactName, company: callback.company, source: 'callback' } : undefined
+    });
+    if (!placed) return;
+
+    await this.callbackSchedule.remove(callback.id);
+    window.close();
+  }
+
+  renderProfiles() {
+    const { profileSelect, profileList, profileLocked, profileManager } = this.elements;
+    const profiles = this.connectionProfiles;
+
+    profileSelect.textContent = '';
+    profiles.profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    });
+    profileSelect.value = profiles.activeProfileId;
+    profileSelect.disabled = profiles.isLocked;
+    profileLocked.hidden = !profiles.isLocked;
+    profileManager.hidden = profiles.isLocked;
+
+    profileList.textContent = '';
+    profiles.getUserProfiles().forEach(profile => {
+      const item = document.createElement('li');
+
+      const name = document.createElement('span');
+      name.textContent = profile.name;
+      name.title = profile.widgetUrl;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'popup-link';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', async () => {
+        await profiles.deleteProfile(profile.id);
+        this.renderProfiles();
+      });
+
+      item.appendChild(name);
+      item.appendChild(remove);
+      profileList.appendChild(item);
+    });
+  }
+
+  async addProfile() {
+    const form = this.elements.profileForm;
+    const data = Object.fromEntries(new FormData(form).entries());
+
+    try {
+      this.elements.profileError.hidden = true;
+      const profile = await this.connectionProfiles.saveProfile(data);
+      await this.connectionProfiles.setActive(profile.id);
+      form.reset();
+      this.renderProfiles();
+    } catch (error) {
+      this.elements.profileError.textContent = error.message;
+      this.elements.profileError.hidden = false;
+    }
+  }
+
+  // Shortcuts are configured on Chrome's own page; this just lists them
+  async renderShortcuts() {
+    const list = this.elements.shortcutList;
+    const commands = await chrome.commands.getAll();
+    list.textContent = '';
+
+    commands.filter(command => command.description).forEach(command => {
+      const item = document.createElement('li');
+
+      const description = document.createElement('span');
+      description.textContent = command.description;
+
+      const shortcut = document.createElement('kbd');
+      shortcut.textContent = command.shortcut || 'Not set';
+
+      item.appendChild(description);
+      item.appendChild(shortcut);
+      list.appendChild(item);
+    });
+  }
+
+  // Each field records the next key combination pressed in it
+  renderKeyBindings(keyBindings) {
+    const list = this.elements.keyBindingList;
+    list.textContent = '';
+    this.keyBindings = { ...keyBindings };
+
+    Object.entries(SOFTPHONE_COMMANDS).forEach(([command, description]) => {
+      const item = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.textContent = description;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.readOnly = true;
+      input.className = 'key-binding-input';
+      input.placeholder = 'Not set';
+      input.value = normalizeKeyCombo(this.keyBindings[command]);
+      input.setAttribute('aria-label', `Key for ${description}`);
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Tab') return;
+        e.preventDefault();
+
+        const combo = ['Backspace', 'Delete'].includes(e.key) ? '' : keyComboFromEvent(e);
+        if (combo === null) return;
+
+        input.value = combo;
+        this.saveKeyBinding(command, combo);
+      });
+
+      item.appendChild(label);
+      item.appendChild(input);
+      list.appendChild(item);
+    });
+  }
+
+  saveKeyBinding(command, combo) {
+    // A combination can only trigger one command
+    Object.keys(this.keyBindings).forEach(name => {
+      if (combo && name !== command && normalizeKeyCombo(this.keyBindings[name]) === combo) {
+        this.keyBindings[name] = '';
+      }
+    });
+    this.keyBindings[command] = combo;
+
+    // Every open tab picks this up from storage, not just the active one
+    this.saveSettings({ keyBindings: this.keyBindings });
+    this.renderKeyBindings(this.keyBindings);
+  }
+
+  async saveSettings(changes) {
+    try {
+      const { softphoneSettings } = await chrome.storage.sync.get(['softphoneSettings']);
+      await chrome.storage.sync.set({ softphoneSettings: { ...softphoneSettings, ...changes } });
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    }
+  }
+
+  renderSiteRuleOptions() {
+    this.elements.siteRuleFeatures.forEach(select => {
+      [['', 'Default'], ['on', 'On'], ['off', 'Off']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+    });
+  }
+
+  // Show the saved overrides for whatever pattern is in the form
+  fillSiteRuleForm() {
+    const rule = this.siteRules.getRule(this.elements.siteRulePattern.value) || {};
+    this.elements.siteRuleFeatures.forEach(select => {
+      const value = rule[select.dataset.siteFeature];
+      select.value = value === undefined ? '' : (value ? 'on' : 'off');
+    });
+  }
+
+  renderSiteRules() {
+    const list = this.elements.siteRuleList;
+    list.textContent = '';
+
+    this.siteRules.rules.forEach(rule => {
+      const item = document.createElement('li');
+
+      const pattern = document.createElement('button');
+      pattern.type = 'button';
+      pattern.className = 'popup-link';
+      pattern.textContent = rule.pattern;
+      pattern.title = 'Edit rule';
+      pattern.addEventListener('click', () => {
+        this.elements.siteRulePattern.value = rule.pattern;
+        this.fillSiteRuleForm();
+      });
+
+      const summary = document.createElement('span');
+      summary.className = 'site-rule-summary';
+      summary.textContent = SITE_RULE_FEATURES
+        .filter(feature => rule[feature] !== undefined)
+        .map(feature => `${SITE_RULE_LABELS[feature]} ${rule[feature] ? 'on' : 'off'}`)
+        .join(', ');
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'popup-link';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', async () => {
+        await this.siteRules.deleteRule(rule.pattern);
+        this.fillSiteRuleForm();
+        this.renderSiteRules();
+      });
+
+      item.appendChild(pattern);
+      item.appendChild(summary);
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+  }
+
+  async saveSiteRule() {
+    const rule = { pattern: this.elements.siteRulePattern.value };
+    this.elements.siteRuleFeatures.forEach(select => {
+      if (select.value) {
+        rule[select.dataset.siteFeature] = select.value === 'on';
+      }
+    });
+
+    try {
+      this.elements.siteRuleError.hidden = true;
+      const saved = await this.siteRules.saveRule(rule);
+      this.elements.siteRulePattern.value = saved.pattern;
+      this.renderSiteRules();
+    } catch (error) {
+      this.elements.siteRuleError.textContent = error.message;
+      this.elements.siteRuleError.hidden = false;
+    }
+  }
+
+  async renderContactLookup() {
+    const settings = await loadContactLookupSettings();
+    const form = this.elements.contactLookupForm;
+    ['addressBook', 'page', 'rest'].forEach(name => {
+      form.elements[name].checked = Boolean(settings[name]);
+    });
+    form.elements.restUrl.value = settings.restUrl;
+    form.elements.restAuthHeader.value = settings.restAuthHeader;
+  }
+
+  // Host permission for the CRM is only asked for when the lookup is turned on,
+  // and has to be requested before anything else is awaited in the click
+  async saveContactLookup() {
+    const form = this.elements.contactLookupForm;
+    const settings = {
+      addressBook: form.elements.addressBook.checked,
+      page: form.elements.page.checked,
+      rest: form.elements.rest.checked,
+      restUrl: form.elements.restUrl.value.trim(),
+      restAuthHeader: form.elements.restAuthHeader.value.trim()
+    };
+    const showError = (message) => {
+      this.elements.contactLookupError.textContent = message;
+      this.elements.contactLookupError.hidden = false;
+    };
+
+    this.elements.contactLookupError.hidden = true;
+    if (settings.rest) {
+      const origin = contactLookupOrigin(settings.restUrl);
+      if (!origin) {
+        showError('Enter the CRM URL, with {number} where the phone number goes');
+        return;
+      }
+      if (!(await chrome.permissions.request({ origins: [origin] }))) {
+        showError(`The CRM lookup needs access to ${origin}`);
+        return;
+      }
+    }
+
+    await chrome.storage.local.set({ [CONTACT_LOOKUP_KEY]: settings });
+  }
+
+  renderHistoryFilters() {
+    const addOptions = (select, values) => {
+      values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+        select.appendChild(option);
+      });
+    };
+
+    addOptions(this.elements.historyDirection, CALL_DIRECTIONS);
+    addOptions(this.elements.historyOutcome, CALL_OUTCOMES);
+  }
+
+  renderStatus(status) {
+    this.elements.enabledToggle.checked = status.isEnabled;
+    this.elements.settingToggles.forEach(input => {
+      input.checked = Boolean(status.settings[input.dataset.setting]);
+    });
+    this.elements.countrySelect.value = status.settings.defaultCountry;
+    this.elements.retentionSelect.value = String(status.settings.historyRetentionDays);
+    this.elements.dispositionCodes.value = (status.settings.dispositionCodes || []).join('\n');
+  }
+
+  setupEventListeners() {
+    this.elements.enabledToggle.addEventListener('change', () => {
+      this.sendToTab({ action: 'toggleExtension' });
+    });
+
+    this.elements.settingToggles.forEach(input => {
+      input.addEventListener('change', () => {
+        this.sendToTab({
+          action: 'updateSettings',
+          settings: { [input.dataset.setting]: input.checked }
+        });
+      });
+    });
+
+    this.elements.countrySelect.addEventListener('change', () => {
+      this.phoneNormalizer.setCountry(this.elements.countrySelect.value);
+      this.sendToTab({
+        action: 'updateSettings',
+        settings: { defaultCountry: this.elements.countrySelect.value }
+      });
+    });
+
+    this.elements.addContact.addEventListener('click', () => this.showContactForm());
+    this.elements.cancelContact.addEventListener('click', () => {
+      this.elements.contactForm.hidden = true;
+    });
+    this.elements.contactForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveContact();
+    });
+    this.elements.contactSearch.addEventListener('input', () => this.renderContacts());
+    this.elements.contactImport.addEventListener('change', () => {
+      const [file] = this.elements.contactImport.files;
+      if (file) this.importContacts(file);
+    });
+    this.elements.contactExportButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.downloadFile(this.addressBook.exportContacts(button.dataset.contactExport));
+      });
+    });
+
+    this.elements.startCampaign.addEventListener('click', () => this.startCampaign());
+
+    this.elements.addCallback.addEventListener('click', () => this.showCallbackForm());
+    this.elements.cancelCallback.addEventListener('click', () => {
+      this.elements.callbackForm.hidden = true;
+    });
+    this.elements.callbackForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveCallback();
+    });
+    // Also picks up snoozes and reminders handled by the background worker
+    this.callbackSchedule.onChanged(() => this.renderCallbacks());
+
+    this.elements.profileSelect.addEventListener('change', () => {
+      this.connectionProfiles.setActive(this.elements.profileSelect.value);
+    });
+
+    this.elements.profileForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addProfile();
+    });
+
+    this.elements.editShortcuts.addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
+    this.elements.siteRulePattern.addEventListener('input', () => this.fillSiteRuleForm());
+
+    this.elements.siteRuleForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveSiteRule();
+    });
+
+    this.elements.contactLookupForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveContactLookup();
+    });
+
+    this.elements.dispositionCodes.addEventListener('change', () => {
+      const codes = [...new Set(this.elements.dispositionCodes.value.split('\n').map(code => code.trim()).filter(Boolean))];
+      this.elements.dispositionCodes.value = codes.join('\n');
+      this.sendToTab({ action: 'updateSettings', settings: { dispositionCodes: codes } });
+    });
+
+    this.elements.retentionSelect.addEventListener('change', async () => {
+      const retentionDays = Number(this.elements.retentionSelect.value);
+      await this.sendToTab({ action: 'updateSettings', settings: { historyRetentionDays: retentionDays } });
+      this.callHistory.configure({ retentionDays, maxEntries: this.callHistory.maxEntries });
+      this.loadRecentCalls();
+    });
+
+    let searchTimeout;
+    this.elements.historySearch.addEventListener('input', () => {
+      clearTimeout(searchTimeout);
+      searchTimeout = setTimeout(() => this.loadRecentCalls(), 200);
+    });
+    this.elements.historyDirection.addEventListener('change', () => this.loadRecentCalls());
+    this.elements.historyOutcome.addEventListener('change', () => this.loadRecentCalls());
+
+    this.elements.quickDialForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const number = this.elements.quickDialInput.value.trim();
+      if (number) {
+        this.dial(number);
+      }
+    });
+
+    this.elements.clearHistory.addEventListener('click', async () => {
+      await this.callHistory.clear();
+      this.renderRecentCalls([]);
+    });
+
+    this.elements.exportButtons.forEach(button => {
+      button.addEventListener('click', () => this.exportHistory(button.dataset.export));
+    });
+  }
+
+  // Reads storage directly so the export covers everything kept, not just what a tab has cached
+  async exportHistory(format) {
+    const store = new CallHistoryStore({ retentionDays: 0, maxEntries: Infinity });
+    await store.load();
+
+    const from = this.elements.exportFrom.value;
+    const to = this.elements.exportTo.value;
+    const file = store.exportEntries(format, {
+      from: from ? `${from}T00:00:00` : null,
+      to: to ? `${to}T23:59:59.999` : null
+    });
+    this.downloadFile(file);
+  }
+
+  // file: { filename, mimeType, content }
+  downloadFile(file) {
+    const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Dials in this tab or, where the page has no softphone, in the tab hosting the
+  // session. Resolves to false, with the popup left open, when neither answers.
+  async dial(number, { source = null, contact = undefined } = {}) {
+    const response = await this.sendToTab({ action: 'openWidget', number, source, contact }) ||
+      await chrome.runtime.sendMessage({ action: 'dial', number, source, contact }).catch(() => null);
+    if (!response || !(response.success || response.forwarded)) {
+      this.elements.unavailable.hidden = false;
+      return false;
+    }
+
+    window.close();
+    return true;
+  }
+
+  getHistoryFilter() {
+    return {
+      search: this.elements.historySearch.value,
+      direction: this.elements.historyDirection.value,
+      outcome: this.elements.historyOutcome.value
+    };
+  }
+
+  async loadRecentCalls() {
+    await this.callHistory.load();
+    this.renderRecentCalls(this.callHistory.query(this.getHistoryFilter()));
+  }
+
+  renderRecentCalls(callHistory) {
+    const list = this.elements.recentCalls;
+    list.textContent = '';
+
+    if (!callHistory.length) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = 'No matching calls';
+      list.appendChild(empty);
+      return;
+    }
+
+    callHistory.slice(0, 25).forEach(call => {
+      const item = document.createElement('li');
+
+      const number = document.createElement('button');
+      number.type = 'button';
+      number.className = 'call-number';
+      const displayNumber = call.displayNumber || call.number;
+      number.textContent = `${call.direction === 'inbound' ? '↙' : '↗'} ${call.contactName || displayNumber}`;
+      number.title = [
+        call.contactName ? `Call ${displayNumber} again` : 'Call again',
+        call.company,
+        call.pageTitle ? `from ${call.pageTitle}` : null,
+        call.notes
+      ].filter(Boolean).join(' · ');
+      number.addEventListener('click', () => this.dial(call.extension ? `${call.number} ext. ${call.extension}` : call.number));
+
+      const schedule = document.createElement('button');
+      schedule.type = 'button';
+      schedule.className = 'call-schedule';
+      schedule.textContent = '⏰';
+      schedule.title = 'Schedule a callback';
+      schedule.setAttribute('aria-label', `Schedule a callback to ${call.contactName || displayNumber}`);
+      schedule.addEventListener('click', () => this.showCallbackForm(null, call));
+
+      const details = document.createElement('div');
+      details.className = 'call-details';
+
+      const outcome = document.createElement('span');
+      outcome.className = `call-outcome ${call.outcome}`;
+      outcome.textContent = [
+        call.outcome,
+        call.duration ? this.formatDuration(call.duration) : null,
+        call.disposition
+      ].filter(Boolean).join(' · ');
+
+      const time = document.createElement('span');
+      time.className = 'call-time';
+      time.textContent = new Date(call.timestamp).toLocaleString();
+
+      details.appendChild(outcome);
+      details.appendChild(time);
+      item.appendChild(number);
+      item.appendChild(schedule);
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+  }
+
+  formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = String(seconds % 60).padStart(2, '0');
+    return `${minutes}:${remainder}`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new PopupController();
+});
@@ -0,0 +1,109 @@
+// Per-site behaviour rules. Each rule matches hostnames with a pattern such as
+// "example.com", "*.bank.com" or "intranet.*" and overrides individual features;
+// a feature left undefined falls back to the global setting.
+const SITE_RULES_KEY = 'siteRules';
+const SITE_RULE_FEATURES = ['enabled', 'highlightNumbers', 'autoDetect', 'showFloatingButton'];
+
+class SiteRules {
+  constructor() {
+    this.rules = [];
+  }
+
+  static normalizePattern(pattern) {
+    return String(pattern || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/:].*$/, '');
+  }
+
+  // "*.example.com" also matches the bare "example.com"
+  static patternToRegex(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const source = escaped.startsWith('.*\\.') ? `(?:.*\\.)?${escaped.slice(4)}` : escaped;
+    return new RegExp(`^${source}$`);
+  }
+
+  // More literal characters means a more specific rule
+  static specificity(pattern) {
+    return pattern.replace(/\*/g, '').length;
+  }
+
+  // Returns a cleaned-up rule, or null when the pattern is unusable
+  static normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') return null;
+
+    const pattern = SiteRules.normalizePattern(rule.pattern);
+    if (!pattern || !/^[a-z0-9.*-]+$/.test(pattern)) return null;
+
+    const normalized = { pattern };
+    SITE_RULE_FEATURES.forEach(feature => {
+      if (typeof rule[feature] === 'boolean') {
+        normalized[feature] = rule[feature];
+      }
+    });
+    return normalized;
+  }
+
+  async load() {
+    const result = await chrome.storage.sync.get([SITE_RULES_KEY]);
+    this.rules = (result[SITE_RULES_KEY] || [])
+      .map(rule => SiteRules.normalizeRule(rule))
+      .filter(Boolean);
+    return this.rules;
+  }
+
+  matching(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    return this.rules
+      .filter(rule => SiteRules.patternToRegex(rule.pattern).test(host))
+      .sort((a, b) => SiteRules.specificity(a.pattern) - SiteRules.specificity(b.pattern));
+  }
+
+  // Feature overrides for a hostname; more specific rules win per feature
+  resolve(hostname) {
+    const overrides = {};
+    this.matching(hostname).forEach(rule => {
+      SITE_RULE_FEATURES.forEach(feature => {
+        if (rule[feature] !== undefined) overrides[feature] = rule[feature];
+      });
+    });
+    return overrides;
+  }
+
+  getRule(pattern) {
+    const normalized = SiteRules.normalizePattern(pattern);
+    return this.rules.find(rule => rule.pattern === normalized) || null;
+  }
+
+  async saveRule(rule) {
+    const normalized = SiteRules.normalizeRule(rule);
+    if (!normalized) {
+      throw new Error('Enter a hostname such as example.com or *.example.com');
+    }
+
+    const rules = this.rules.filter(item => item.pattern !== normalized.pattern);
+    // A rule that overrides nothing is the same as no rule
+    if (Object.keys(normalized).length > 1) {
+      rules.push(normalized);
+    }
+
+    await chrome.storage.sync.set({ [SITE_RULES_KEY]: rules });
+    this.rules = rules;
+    return normalized;
+  }
+
+  async deleteRule(pattern) {
+    const normalized = SiteRules.normalizePattern(pattern);
+    this.rules = this.rules.filter(rule => rule.pattern !== normalized);
+    await chrome.storage.sync.set({ [SITE_RULES_KEY]: this.rules });
+  }
+
+  // Calls back with the reloaded rules whenever they change in another context
+  onChanged(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === 'sync' && changes[SITE_RULES_KEY]) {
+        this.load().then(callback);
+      }
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
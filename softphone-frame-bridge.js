@@ -0,0 +1,55 @@
+// Runs in the softphone's own iframe (we are injected into every frame) and
+// carries credentials between the softphone page and the background worker.
+// The softphone posts to its own window, so the host page never sees them; the
+// worker checks that we run in the active profile's origin inside the host tab.
+const SOFTPHONE_FRAME_INBOUND_SCHEMAS = {
+  SOFTPHONE_FRAME_REDEEM_TOKEN: { id: 'string', token: 'string' },
+  SOFTPHONE_FRAME_SAVE_CREDENTIALS: { id: 'string', credentials: 'object' }
+};
+
+class SoftphoneFrameBridge {
+  constructor() {
+    this.boundHandleEvent = this.handleEvent.bind(this);
+  }
+
+  attach() {
+    window.addEventListener('message', this.boundHandleEvent);
+  }
+
+  detach() {
+    window.removeEventListener('message', this.boundHandleEvent);
+  }
+
+  handleEvent(event) {
+    // Only the softphone page itself, never the host page or a child frame
+    if (event.source !== window || event.origin !== location.origin) return;
+    if (!event.data || !SOFTPHONE_FRAME_INBOUND_SCHEMAS[event.data.type]) return;
+
+    const error = SoftphoneProtocol.validate(event.data, SOFTPHONE_FRAME_INBOUND_SCHEMAS);
+    if (error) {
+      console.warn('⚠️ Ignoring softphone frame message:', error);
+      return;
+    }
+
+    this.handleMessage(event.data);
+  }
+
+  async handleMessage(message) {
+    let response = null;
+    try {
+      response = message.type === 'SOFTPHONE_FRAME_REDEEM_TOKEN'
+        ? await chrome.runtime.sendMessage({ action: 'redeemCredentialToken', token: message.token })
+        : await chrome.runtime.sendMessage({ action: 'saveCredentials', credentials: message.credentials });
+    } catch (error) {
+      response = { error: error.message };
+    }
+
+    // SOFTPHONE_FRAME_CREDENTIALS answers a redeem, SOFTPHONE_FRAME_SAVED a save
+    const reply = message.type === 'SOFTPHONE_FRAME_REDEEM_TOKEN'
+      ? { type: 'SOFTPHONE_FRAME_CREDENTIALS', id: message.id, credentials: response ? response.credentials || null : null }
+      : { type: 'SOFTPHONE_FRAME_SAVED', id: message.id, success: Boolean(response && response.success) };
+    if (response && response.error) reply.error = response.error;
+
+    window.postMessage({ ...reply, v: SOFTPHONE_PROTOCOL_VERSION }, location.origin);
+  }
+}
@@ -0,0 +1,235 @@
+// Versioned postMessage protocol between the page and the softphone iframe.
+// Every message is checked against a schema and must come from our own iframe
+// window; requests that need confirmation carry an id the iframe acknowledges.
+const SOFTPHONE_PROTOCOL_VERSION = 1;
+
+// Field specs are type names; a trailing "?" on the key marks it optional and a
+// nested object describes the fields of an object value.
+const CALL_STATUS_SCHEMA = {
+  'data?': { 'callId?': 'string', 'number?': 'string', 'duration?': 'number', 'reason?': 'string' }
+};
+
+const SOFTPHONE_INBOUND_SCHEMAS = {
+  SOFTPHONE_ACK: { ackId: 'string', 'error?': 'string' },
+  SOFTPHONE_INCOMING_CALL: {
+    data: { 'from?': 'string', 'callId?': 'string', 'displayName?': 'string', 'callerName?': 'string' }
+  },
+  SOFTPHONE_CALL_CONNECTED: CALL_STATUS_SCHEMA,
+  SOFTPHONE_CALL_ENDED: CALL_STATUS_SCHEMA,
+  SOFTPHONE_CALL_FAILED: CALL_STATUS_SCHEMA,
+  SOFTPHONE_CALL_MISSED: CALL_STATUS_SCHEMA,
+  SOFTPHONE_REQUEST_CREDENTIALS: {},
+  SOFTPHONE_LOGOUT_SYNC: {}
+};
+
+const SOFTPHONE_OUTBOUND_SCHEMAS = {
+  SOFTPHONE_ACK: { ackId: 'string' },
+  SOFTPHONE_CALL: {
+    number: 'string',
+    'extension?': 'string',
+    'displayNumber?': 'string',
+    'sourceUrl?': 'string', // Page the call was started from
+    'sourceTitle?': 'string',
+    'contactName?': 'string',
+    'company?': 'string'
+  },
+  SOFTPHONE_CONFIG: { profileId: 'string', displayName: 'string', 'sipDomain?': 'string' },
+  // The iframe redeems the token through SoftphoneFrameBridge, inside its own window
+  SOFTPHONE_AUTOLOGIN: { token: 'string' },
+  SOFTPHONE_RESPONSE_CREDENTIALS: { 'token?': 'string' },
+  SOFTPHONE_ANSWER: { 'callId?': 'string' },
+  SOFTPHONE_DECLINE: { 'callId?': 'string' },
+  SOFTPHONE_SEND_TO_VOICEMAIL: { 'callId?': 'string' },
+  SOFTPHONE_HANGUP: { 'callId?': 'string' },
+  SOFTPHONE_TOGGLE_MUTE: {}
+};
+
+class SoftphoneProtocol {
+  // getTargetWindow returns the iframe's contentWindow; onMessage receives validated messages
+  constructor({ targetOrigin, getTargetWindow, onMessage }) {
+    this.targetOrigin = targetOrigin;
+    this.getTargetWindow = getTargetWindow;
+    this.onMessage = onMessage;
+    this.isReady = false;
+    this.queue = [];
+    this.pending = new Map();
+    this.boundHandleEvent = this.handleEvent.bind(this);
+  }
+
+  attach() {
+    window.addEventListener('message', this.boundHandleEvent);
+  }
+
+  detach() {
+    window.removeEventListener('message', this.boundHandleEvent);
+    this.pending.forEach(({ timer, reject }) => {
+      clearTimeout(timer);
+      reject(new Error('Softphone protocol detached'));
+    });
+    this.pending.clear();
+    this.queue = [];
+    this.isReady = false;
+  }
+
+  createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  static describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  // Returns an error description, or null when the value matches the schema
+  static validateFields(value, schema, path = '') {
+    if (SoftphoneProtocol.describeType(value) !== 'object') {
+      return `${path || 'message'} must be an object`;
+    }
+
+    for (const [rawKey, spec] of Object.entries(schema)) {
+      const optional = rawKey.endsWith('?');
+      const key = optional ? rawKey.slice(0, -1) : rawKey;
+      const fieldPath = path ? `${path}.${key}` : key;
+      const fieldValue = value[key];
+
+      if (fieldValue === undefined || fieldValue === null) {
+        if (optional) continue;
+        return `${fieldPath} is required`;
+      }
+
+      if (typeof spec === 'object') {
+        const error = SoftphoneProtocol.validateFields(fieldValue, spec, fieldPath);
+        if (error) return error;
+      } else if (SoftphoneProtocol.describeType(fieldValue) !== spec) {
+        return `${fieldPath} must be ${spec}`;
+      }
+    }
+
+    return null;
+  }
+
+  static validate(message, schemas) {
+    if (SoftphoneProtocol.describeType(message) !== 'object' || typeof message.type !== 'string') {
+      return 'message has no type';
+    }
+
+    // Older softphone builds don't send a version; treat them as version 1
+    if (message.v !== undefined && message.v !== SOFTPHONE_PROTOCOL_VERSION) {
+      return `unsupported protocol version ${message.v}`;
+    }
+
+    if (message.id !== undefined && typeof message.id !== 'string') {
+      return 'id must be string';
+    }
+
+    const schema = schemas[message.type];
+    if (!schema) {
+      return `unknown message type ${message.type}`;
+    }
+
+    return SoftphoneProtocol.validateFields(message, schema);
+  }
+
+  handleEvent(event) {
+    if (event.origin !== this.targetOrigin) return;
+
+    const target = this.getTargetWindow();
+    if (!target || event.source !== target) {
+      console.warn('⚠️ Rejected softphone message from an unexpected window');
+      return;
+    }
+
+    const message = event.data;
+    const error = SoftphoneProtocol.validate(message, SOFTPHONE_INBOUND_SCHEMAS);
+    if (error) {
+      console.warn('⚠️ Rejected malformed softphone message:', error);
+      return;
+    }
+
+    if (message.type === 'SOFTPHONE_ACK') {
+      this.resolvePending(message);
+      return;
+    }
+
+    if (message.id) {
+      this.post({ type: 'SOFTPHONE_ACK', v: SOFTPHONE_PROTOCOL_VERSION, ackId: message.id });
+    }
+
+    this.onMessage(message);
+  }
+
+  resolvePending(ack) {
+    const entry = this.pending.get(ack.ackId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.pending.delete(ack.ackId);
+
+    if (ack.error) {
+      entry.reject(new Error(ack.error));
+    } else {
+      entry.resolve(ack);
+    }
+  }
+
+  // Call once the iframe has loaded; messages sent before then are queued
+  setReady() {
+    this.isReady = true;
+    const queued = this.queue;
+    this.queue = [];
+    queued.forEach(send => send());
+  }
+
+  post(message) {
+    const target = this.getTargetWindow();
+    if (!target) {
+      throw new Error('Softphone iframe is not available');
+    }
+    target.postMessage(message, this.targetOrigin);
+  }
+
+  // Resolves once posted, or once acknowledged when expectAck is set. Retries
+  // reuse the same id so the iframe can ignore duplicates.
+  send(type, payload = {}, { expectAck = false, timeoutMs = 3000, retries = 2 } = {}) {
+    const message = { ...payload, type, v: SOFTPHONE_PROTOCOL_VERSION, id: this.createId() };
+    const error = SoftphoneProtocol.validate(message, SOFTPHONE_OUTBOUND_SCHEMAS);
+    if (error) {
+      return Promise.reject(new Error(`Invalid outgoing softphone message: ${error}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const attempt = (remaining) => {
+        try {
+          this.post(message);
+        } catch (postError) {
+          this.pending.delete(message.id);
+          reject(postError);
+          return;
+        }
+
+        if (!expectAck) {
+          resolve();
+          return;
+        }
+
+        const timer = setTimeout(() => {
+          if (remaining > 0) {
+            attempt(remaining - 1);
+          } else {
+            this.pending.delete(message.id);
+            reject(new Error(`No acknowledgement for ${type}`));
+          }
+        }, timeoutMs);
+
+        this.pending.set(message.id, { resolve, reject, timer });
+      };
+
+      if (this.isReady) {
+        attempt(retries);
+      } else {
+        this.queue.push(() => attempt(retries));
+      }
+    });
+  }
+}
@@ -0,0 +1,143 @@
+// Where the softphone widget and floating button sit on each site. A widget is
+// either floating (saved position and size) or docked as a sidebar on the left
+// or right edge, in which case the page is narrowed to make room for it.
+const WIDGET_LAYOUTS_KEY = 'widgetLayouts';
+const WIDGET_LAYOUT_MAX_SITES = 200;
+const WIDGET_DEFAULT_SIZE = { width: 380, height: 580 };
+const WIDGET_MIN_SIZE = { width: 300, height: 400 };
+const WIDGET_DOCK_SNAP_DISTANCE = 24;
+const WIDGET_LAYOUT_MARGIN = 10;
+
+class WidgetLayout {
+  constructor(hostname = location.hostname) {
+    this.hostname = hostname;
+    this.layout = WidgetLayout.defaults();
+    this.pageStyle = null; // The page's own inline margins while it is narrowed
+  }
+
+  static defaults() {
+    return {
+      mode: 'floating', // 'floating', 'dock-left' or 'dock-right'
+      widget: null, // { left, top } once the user has moved it
+      width: WIDGET_DEFAULT_SIZE.width,
+      height: WIDGET_DEFAULT_SIZE.height,
+      dockWidth: WIDGET_DEFAULT_SIZE.width,
+      button: null // { left, top } once the user has moved it
+    };
+  }
+
+  get isDocked() {
+    return this.layout.mode === 'dock-left' || this.layout.mode === 'dock-right';
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([WIDGET_LAYOUTS_KEY]);
+      const saved = (result[WIDGET_LAYOUTS_KEY] || {})[this.hostname];
+      this.layout = { ...WidgetLayout.defaults(), ...saved };
+    } catch (error) {
+      console.error('Error loading widget layout:', error);
+    }
+    return this.layout;
+  }
+
+  // Re-reads before writing so other sites' layouts saved meanwhile survive
+  async save() {
+    try {
+      const result = await chrome.storage.local.get([WIDGET_LAYOUTS_KEY]);
+      const layouts = result[WIDGET_LAYOUTS_KEY] || {};
+      layouts[this.hostname] = { ...this.layout, updatedAt: Date.now() };
+
+      // Forget the sites that haven't been touched for longest
+      const hostnames = Object.keys(layouts)
+        .sort((a, b) => (layouts[b].updatedAt || 0) - (layouts[a].updatedAt || 0));
+      hostnames.slice(WIDGET_LAYOUT_MAX_SITES).forEach(hostname => delete layouts[hostname]);
+
+      await chrome.storage.local.set({ [WIDGET_LAYOUTS_KEY]: layouts });
+    } catch (error) {
+      console.error('Error saving widget layout:', error);
+    }
+  }
+
+  update(changes) {
+    this.layout = { ...this.layout, ...changes };
+    return this.save();
+  }
+
+  // Size that fits the current viewport
+  fittedSize() {
+    const maxWidth = window.innerWidth - 2 * WIDGET_LAYOUT_MARGIN;
+    const maxHeight = window.innerHeight - 2 * WIDGET_LAYOUT_MARGIN;
+    return {
+      width: Math.max(Math.min(WIDGET_MIN_SIZE.width, maxWidth), Math.min(this.layout.width, maxWidth)),
+      height: Math.max(Math.min(WIDGET_MIN_SIZE.height, maxHeight), Math.min(this.layout.height, maxHeight))
+    };
+  }
+
+  clampPosition({ left, top }, { width, height }) {
+    const margin = WIDGET_LAYOUT_MARGIN;
+    return {
+      left: Math.max(margin, Math.min(left, window.innerWidth - width - margin)),
+      top: Math.max(margin, Math.min(top, window.innerHeight - height - margin))
+    };
+  }
+
+  dockWidth() {
+    return Math.max(WIDGET_MIN_SIZE.width, Math.min(this.layout.dockWidth, Math.floor(window.innerWidth / 2)));
+  }
+
+  // Inline styles for the widget container; fallbackPosition is used until the user moves it
+  widgetStyle(fallbackPosition) {
+    if (this.isDocked) {
+      const side = this.layout.mode === 'dock-left' ? 'left' : 'right';
+      return {
+        top: '0px',
+        left: side === 'left' ? '0px' : 'auto',
+        right: side === 'right' ? '0px' : 'auto',
+        width: `${this.dockWidth()}px`,
+        height: '100vh'
+      };
+    }
+
+    const size = this.fittedSize();
+    const position = this.layout.widget
+      ? this.clampPosition(this.layout.widget, size)
+      : fallbackPosition;
+
+    return {
+      left: typeof position.left === 'number' ? `${position.left}px` : position.left,
+      top: typeof position.top === 'number' ? `${position.top}px` : position.top,
+      right: 'auto',
+      width: `${size.width}px`,
+      height: `${size.height}px`
+    };
+  }
+
+  // Which edge a floating widget was dropped against, if any
+  snapTarget(rect) {
+    if (rect.left <= WIDGET_DOCK_SNAP_DISTANCE) return 'dock-left';
+    if (window.innerWidth - rect.right <= WIDGET_DOCK_SNAP_DISTANCE) return 'dock-right';
+    return null;
+  }
+
+  // Makes room for a docked widget by narrowing the page instead of covering it
+  shrinkPage() {
+    const root = document.documentElement;
+    if (!this.pageStyle) {
+      this.pageStyle = { marginLeft: root.style.marginLeft, marginRight: root.style.marginRight };
+    }
+
+    const width = `${this.dockWidth()}px`;
+    root.style.marginLeft = this.layout.mode === 'dock-left' ? width : this.pageStyle.marginLeft;
+    root.style.marginRight = this.layout.mode === 'dock-right' ? width : this.pageStyle.marginRight;
+  }
+
+  restorePage() {
+    if (!this.pageStyle) return;
+
+    const root = document.documentElement;
+    root.style.marginLeft = this.pageStyle.marginLeft;
+    root.style.marginRight = this.pageStyle.marginRight;
+    this.pageStyle = null;
+  }
+}
@@ -0,0 +1,180 @@
+// Wrap-up form shown when a call ends: a disposition code, notes and an
+// optional follow-up time, saved on the call's history entry. Calls that end
+// while a form is open wait their turn.
+const WRAP_UP_DEFAULT_DISPOSITIONS = [
+  'Connected',
+  'Left voicemail',
+  'No answer',
+  'Wrong number',
+  'Call back later',
+  'Not interested'
+];
+
+class WrapUpPanel {
+  // onSave(entry, { disposition, notes, followUpAt }) stores the result; onSkip(entry) is optional
+  constructor({ onSave, onSkip = null }) {
+    this.onSave = onSave;
+    this.onSkip = onSkip;
+    this.element = null;
+    this.entry = null;
+    this.queue = [];
+  }
+
+  get isVisible() {
+    return Boolean(this.element);
+  }
+
+  // entry: a call history entry; dispositions: the codes to offer
+  show(entry, dispositions = WRAP_UP_DEFAULT_DISPOSITIONS) {
+    if (this.element) {
+      if (entry.id !== this.entry.id && !this.queue.some(item => item.entry.id === entry.id)) {
+        this.queue.push({ entry, dispositions });
+      }
+      return;
+    }
+
+    this.entry = entry;
+    this.element = this.render(entry, dispositions.length ? dispositions : WRAP_UP_DEFAULT_DISPOSITIONS);
+    document.body.appendChild(this.element);
+    this.element.querySelector('select').focus();
+  }
+
+  render(entry, dispositions) {
+    const panel = document.createElement('form');
+    panel.className = 'softphone-wrap-up';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-labelledby', 'softphone-wrap-up-title');
+
+    const title = document.createElement('div');
+    title.className = 'softphone-wrap-up-title';
+    title.id = 'softphone-wrap-up-title';
+    title.textContent = 'Call wrap-up';
+
+    const summary = document.createElement('div');
+    summary.className = 'softphone-wrap-up-summary';
+    summary.textContent = [
+      entry.contactName || entry.displayNumber,
+      entry.contactName ? entry.displayNumber : null,
+      entry.duration ? `${Math.floor(entry.duration / 60)}:${String(entry.duration % 60).padStart(2, '0')}` : null
+    ].filter(Boolean).join(' · ');
+
+    panel.appendChild(title);
+    panel.appendChild(summary);
+
+    // Back to the record the call was placed from
+    if (/^https?:/i.test(entry.pageUrl)) {
+      const source = document.createElement('a');
+      source.className = 'softphone-wrap-up-source';
+      source.href = entry.pageUrl;
+      source.target = '_blank';
+      source.rel = 'noopener noreferrer';
+      source.textContent = entry.pageTitle || entry.pageUrl;
+      source.title = entry.pageUrl;
+      panel.appendChild(source);
+    }
+
+    const disposition = document.createElement('select');
+    disposition.name = 'disposition';
+    [['', 'Outcome…'], ...dispositions.map(code => [code, code])].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      disposition.appendChild(option);
+    });
+    disposition.value = entry.disposition || '';
+
+    const notes = document.createElement('textarea');
+    notes.name = 'notes';
+    notes.rows = 3;
+    notes.placeholder = 'Notes';
+    notes.value = entry.notes || '';
+
+    const followUp = document.createElement('input');
+    followUp.type = 'datetime-local';
+    followUp.name = 'followUpAt';
+    followUp.min = toLocalDateTimeValue(new Date());
+    if (entry.followUpAt) followUp.value = toLocalDateTimeValue(new Date(entry.followUpAt));
+
+    panel.appendChild(this.labelled('Outcome', disposition));
+    panel.appendChild(this.labelled('Notes', notes));
+    panel.appendChild(this.labelled('Call back at', followUp));
+
+    const actions = document.createElement('div');
+    actions.className = 'softphone-wrap-up-actions';
+
+    const skip = document.createElement('button');
+    skip.type = 'button';
+    skip.className = 'softphone-wrap-up-button skip';
+    skip.textContent = 'Skip';
+    skip.addEventListener('click', () => this.skip());
+
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'softphone-wrap-up-button save';
+    save.textContent = 'Save';
+
+    actions.appendChild(skip);
+    actions.appendChild(save);
+    panel.appendChild(actions);
+
+    panel.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+    panel.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      this.skip();
+    });
+
+    return panel;
+  }
+
+  labelled(text, field) {
+    const label = document.createElement('label');
+    label.className = 'softphone-wrap-up-field';
+    label.appendChild(document.createTextNode(text));
+    label.appendChild(field);
+    return label;
+  }
+
+  save() {
+    const form = this.element;
+    const entry = this.entry;
+    const followUp = form.elements.followUpAt.value;
+
+    this.close();
+    this.onSave(entry, {
+      disposition: form.elements.disposition.value || null,
+      notes: form.elements.notes.value.trim(),
+      followUpAt: followUp ? new Date(followUp).toISOString() : null
+    });
+  }
+
+  skip() {
+    const entry = this.entry;
+    this.close();
+    if (this.onSkip) this.onSkip(entry);
+  }
+
+  close() {
+    this.dismiss();
+
+    const next = this.queue.shift();
+    if (next) this.show(next.entry, next.dispositions);
+  }
+
+  dismiss() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+    this.entry = null;
+  }
+
+  // Removes the panel and drops anything queued
+  destroy() {
+    this.queue = [];
+    this.dismiss();
+  }
+}